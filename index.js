@@ -4,11 +4,21 @@ import "dotenv/config";
 import enquirer from "enquirer";
 import chalk from "chalk";
 
-import { voice } from "./lib/ui.js";
+import { jsonMode, voice, writeJson } from "./lib/ui.js";
 import { debugMode, logStage } from "./lib/debug.js";
 import { findDrumsFlow } from "./tools/find-drums.js";
 import { browseCatalog } from "./tools/browse-catalog.js";
 import { rememberTake } from "./tools/remember-take.js";
+import { importAudioFlow } from "./tools/import-audio.js";
+import { offerPendingJobs } from "./tools/resume-jobs.js";
+import { practiceQueueFlow } from "./tools/practice-queue.js";
+import { shareCatalogFlow } from "./tools/share-catalog.js";
+import { hasCommand, runCli } from "./tools/cli.js";
+import { EXIT_CODES, usageError } from "./lib/args.js";
+import {
+  invalidConfigOverrides,
+  stripConfigOverrides,
+} from "./lib/config.js";
 
 const { Select } = enquirer;
 
@@ -17,14 +27,18 @@ const mainMenuPrompt = () =>
     message: "what do you want to do?",
     choices: [
       { name: "find", message: "find new drums" },
+      { name: "import", message: "import a file" },
       { name: "catalog", message: "browse my catalog" },
       { name: "matches", message: "see my matches" },
+      { name: "queue", message: "practice a queue" },
       { name: "remember", message: "remember this take" },
+      { name: "share", message: "share my catalog" },
       { name: "exit", message: "exit" },
     ],
   });
 
 const runMenu = async () => {
+  await offerPendingJobs();
   let keepRunning = true;
   while (keepRunning) {
     const selection = await mainMenuPrompt().run();
@@ -32,15 +46,24 @@ const runMenu = async () => {
       case "find":
         await findDrumsFlow();
         break;
+      case "import":
+        await importAudioFlow();
+        break;
       case "catalog":
         await browseCatalog();
         break;
       case "matches":
         await browseCatalog({ matchesOnly: true });
         break;
+      case "queue":
+        await practiceQueueFlow();
+        break;
       case "remember":
         await rememberTake();
         break;
+      case "share":
+        await shareCatalogFlow();
+        break;
       case "exit":
       default:
         keepRunning = false;
@@ -53,22 +76,54 @@ const runMenu = async () => {
 
 const bootstrap = async () => {
   if (debugMode) {
-    console.log(chalk.yellowBright("[MODO DEBUG ACTIVADO]"));
+    console.error(chalk.yellowBright("[MODO DEBUG ACTIVADO]"));
   }
   logStage("MAIN", "boot", { debugMode });
-  if (process.argv.includes("--remember")) {
+  const [badOverride] = invalidConfigOverrides();
+  if (badOverride) {
+    throw usageError(badOverride);
+  }
+  const argv = stripConfigOverrides(process.argv.slice(2));
+  if (jsonMode && !hasCommand(argv)) {
+    throw usageError("--json needs a command, e.g. bata list --json.");
+  }
+  if (argv.includes("--remember")) {
     await rememberTake();
     return;
   }
+  if (hasCommand(argv)) {
+    process.exitCode = await runCli(argv);
+    return;
+  }
   await runMenu();
 };
 
+// --json readers get the error as a line on stdout, named after its exit code
+const writeJsonError = (err, exitCode) => {
+  const [code] = Object.entries(EXIT_CODES).find(
+    ([, value]) => value === exitCode
+  ) ?? ["failure"];
+  writeJson({
+    type: "error",
+    code,
+    exitCode,
+    message: err.message || "something went wrong.",
+  });
+};
+
 bootstrap().catch((err) => {
+  const exitCode = err.exitCode ?? EXIT_CODES.failure;
+  if (jsonMode) {
+    writeJsonError(err, exitCode);
+  }
   if (debugMode) {
     console.error(err);
+  } else if (exitCode === EXIT_CODES.usage) {
+    voice.error(err.message);
+    voice.hint("run bata help to see what's available.");
   } else {
     voice.error(err.message || "something went wrong.");
     voice.hint("run again with --debug for the full trace.");
   }
-  process.exit(1);
+  process.exit(exitCode);
 });
@@ -0,0 +1,172 @@
+import fs from "fs";
+import path from "path";
+
+import { DOWNLOADS_DIR, PROCESSED_DIR, ensureDirectory } from "./paths.js";
+import { readTakeMetadata } from "./take-metadata.js";
+import { findTakesByVideoId } from "./takes.js";
+import { titleFromFolder } from "./titles.js";
+import {
+  findDownloadEntry,
+  forgetDownload,
+  restoreDownloadEntry,
+} from "./download-cache.js";
+import { listPendingJobs } from "./job-journal.js";
+import { logStage } from "./debug.js";
+
+// loadTakes skips dot folders, so whatever lands here is out of the catalog
+export const ARCHIVE_DIR = path.join(PROCESSED_DIR, ".archive");
+export const ARCHIVE_REASONS = ["archived", "deleted"];
+
+const MANIFEST_FILE = "bata.archive.json";
+// each entry keeps the take folder under this name, next to its download
+const TAKE_FOLDER = "take";
+
+const freeEntryName = (id) => {
+  let name = id;
+  for (let copy = 2; fs.existsSync(path.join(ARCHIVE_DIR, name)); copy += 1) {
+    name = `${id} (${copy})`;
+  }
+  return name;
+};
+
+// the youtube download goes along only when no other take was cut from it
+const moveSourceDownload = (folderPath, entryDir) => {
+  const videoId = readTakeMetadata(folderPath).source?.videoId;
+  if (!videoId || findTakesByVideoId(videoId).length) {
+    return null;
+  }
+  const download = findDownloadEntry(videoId);
+  if (!download || !fs.existsSync(download.filePath)) {
+    return null;
+  }
+  const { filePath, ...entry } = download;
+  const file = path.basename(filePath);
+  fs.renameSync(filePath, path.join(entryDir, file));
+  forgetDownload(videoId);
+  return { videoId, file, entry };
+};
+
+const readManifest = (entryDir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(entryDir, MANIFEST_FILE)));
+  } catch {
+    return {};
+  }
+};
+
+// moves the take (and its download, see above) into the archive. `reason`
+// only changes how it's listed; deleted takes stay restorable until purged.
+export const archiveTake = (take, reason = "archived") => {
+  if (!ARCHIVE_REASONS.includes(reason)) {
+    throw new Error(`unknown archive reason "${reason}".`);
+  }
+  // a resumed job would bring the folder back into the library
+  if (listPendingJobs().some((job) => job.outputDir === take.folderPath)) {
+    throw new Error("that take still has a studio job pending.");
+  }
+  ensureDirectory(ARCHIVE_DIR);
+  const name = freeEntryName(take.id);
+  const entryDir = path.join(ARCHIVE_DIR, name);
+  fs.mkdirSync(entryDir);
+  try {
+    fs.renameSync(take.folderPath, path.join(entryDir, TAKE_FOLDER));
+  } catch (error) {
+    fs.rmSync(entryDir, { recursive: true, force: true });
+    logStage("ARCHIVE", "move failed", error.message);
+    throw new Error(`couldn't move ${take.title} out of the catalog.`);
+  }
+
+  let download = null;
+  try {
+    download = moveSourceDownload(path.join(entryDir, TAKE_FOLDER), entryDir);
+  } catch (error) {
+    // the take is archived either way; the download just stays where it is
+    logStage("ARCHIVE", "download move failed", error.message);
+  }
+
+  const manifest = {
+    id: take.id,
+    title: take.title,
+    reason,
+    archivedAt: new Date().toISOString(),
+    download,
+  };
+  fs.writeFileSync(
+    path.join(entryDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+  logStage("ARCHIVE", reason, { id: take.id, entry: name });
+  return { ...manifest, name, entryDir };
+};
+
+export const listArchivedTakes = () => {
+  if (!fs.existsSync(ARCHIVE_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(ARCHIVE_DIR, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => {
+      const entryDir = path.join(ARCHIVE_DIR, dirent.name);
+      const manifest = readManifest(entryDir);
+      const id = manifest.id ?? dirent.name;
+      return {
+        name: dirent.name,
+        entryDir,
+        id,
+        title: manifest.title ?? titleFromFolder(id),
+        reason: ARCHIVE_REASONS.includes(manifest.reason)
+          ? manifest.reason
+          : "archived",
+        archivedAt: manifest.archivedAt
+          ? new Date(manifest.archivedAt)
+          : fs.statSync(entryDir).mtime,
+        download: manifest.download ?? null,
+      };
+    })
+    .sort((a, b) => b.archivedAt.getTime() - a.archivedAt.getTime());
+};
+
+// resolves with the folder the take is back in
+export const restoreArchivedTake = (archived) => {
+  const takeDir = path.join(archived.entryDir, TAKE_FOLDER);
+  const folderPath = path.join(PROCESSED_DIR, archived.id);
+  if (!fs.existsSync(takeDir)) {
+    throw new Error(`the files for ${archived.title} are missing.`);
+  }
+  if (fs.existsSync(folderPath)) {
+    throw new Error(
+      `there's already a take in the catalog called ${archived.id}.`
+    );
+  }
+  fs.renameSync(takeDir, folderPath);
+
+  const { download } = archived;
+  const downloadPath = download && path.join(archived.entryDir, download.file);
+  if (downloadPath && fs.existsSync(downloadPath)) {
+    const target = path.join(DOWNLOADS_DIR, download.file);
+    if (fs.existsSync(target)) {
+      logStage("ARCHIVE", "download already back", target);
+    } else {
+      fs.renameSync(downloadPath, target);
+      restoreDownloadEntry(download.videoId, {
+        ...download.entry,
+        file: path.relative(DOWNLOADS_DIR, target),
+      });
+    }
+  }
+
+  fs.rmSync(archived.entryDir, { recursive: true, force: true });
+  logStage("ARCHIVE", "restored", { id: archived.id, folderPath });
+  return folderPath;
+};
+
+export const purgeArchivedTake = (archived) => {
+  const entryDir = path.resolve(archived.entryDir);
+  // never let a bad entry point the recursive delete outside the archive
+  if (path.dirname(entryDir) !== ARCHIVE_DIR) {
+    throw new Error(`${archived.title} isn't in the archive.`);
+  }
+  fs.rmSync(entryDir, { recursive: true, force: true });
+  logStage("ARCHIVE", "purged", { id: archived.id });
+};
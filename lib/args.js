@@ -0,0 +1,96 @@
+export const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+};
+
+const GLOBAL_FLAGS = ["debug", "help", "json"];
+
+export const usageError = (message) => {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.usage;
+  return error;
+};
+
+const toCamelCase = (value) =>
+  value.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// spec: { booleans: ["blend"], strings: ["pick"], aliases: { p: "pick" } }
+export const parseArgs = (argv = [], spec = {}) => {
+  const booleans = new Set([...GLOBAL_FLAGS, ...(spec.booleans ?? [])]);
+  const strings = new Set(spec.strings ?? []);
+  const aliases = { h: "help", ...(spec.aliases ?? {}) };
+  const flags = {};
+  const positionals = [];
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let inlineValue;
+    if (arg.startsWith("--")) {
+      const [rawName, ...rest] = arg.slice(2).split("=");
+      name = rawName;
+      inlineValue = rest.length ? rest.join("=") : undefined;
+    } else {
+      name = aliases[arg.slice(1)] ?? arg.slice(1);
+    }
+
+    if (booleans.has(name)) {
+      if (inlineValue !== undefined) {
+        throw usageError(`--${name} doesn't take a value.`);
+      }
+      flags[toCamelCase(name)] = true;
+      continue;
+    }
+
+    if (name.startsWith("no-") && booleans.has(name.slice(3))) {
+      flags[toCamelCase(name.slice(3))] = false;
+      continue;
+    }
+
+    if (strings.has(name)) {
+      const value = inlineValue ?? argv[index + 1];
+      const missing =
+        value === undefined ||
+        (inlineValue === undefined && value.startsWith("--"));
+      if (missing) {
+        throw usageError(`--${name} needs a value.`);
+      }
+      if (inlineValue === undefined) {
+        index += 1;
+      }
+      flags[toCamelCase(name)] = value;
+      continue;
+    }
+
+    throw usageError(`unknown option ${arg}.`);
+  }
+
+  return { flags, positionals };
+};
+
+export const parsePositiveInteger = (value, label) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw usageError(`${label} must be a whole number above zero.`);
+  }
+  return parsed;
+};
+
+export const parsePositiveIntegerList = (value, label) =>
+  String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => parsePositiveInteger(part, label));
@@ -1,4 +1,4 @@
-import { exec, spawn, spawnSync } from "child_process";
+import { exec, execFile, spawn, spawnSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import readline from "readline";
@@ -6,13 +6,32 @@ import player from "play-sound";
 import logUpdate from "log-update";
 import { voice, wrapLine, TERM_WIDTH, formatTime } from "./ui.js";
 import { logStage, logDebug, trimForLog, debugMode } from "./debug.js";
+import { audibleChannels, buildMixFilter } from "./mixes.js";
+import { readPreferences, updatePreferences } from "./preferences.js";
+import { loadWaveform, renderWaveform } from "./waveform.js";
+import { getConfig } from "./config.js";
 
 const audioPlayer = player({});
-const SEEK_SECONDS = 5;
-const VOLUME_STEP = 0.1;
+const SEEK_SECONDS = getConfig("player.seekSeconds");
+const VOLUME_STEP = getConfig("player.volumeStep");
 const MIN_VOLUME = 0;
-const MAX_VOLUME = 4;
-const PROGRESS_BAR_WIDTH = 32;
+const MAX_VOLUME = getConfig("player.maxVolume");
+const MIN_BAR_WIDTH = 16;
+const TEMPO_STEP = 0.05;
+const MIN_TEMPO = 0.5;
+const MAX_TEMPO = 1.5;
+const LOOP_NUDGE_SECONDS = 0.1;
+const RESTART_THRESHOLD_SECONDS = 3;
+const CLICK_SAMPLE_RATE = 44100;
+const CLICK_VOLUME_STEP = 0.1;
+const MAX_CLICK_VOLUME = 2;
+const CLICK_OFFSET_STEP = 0.01;
+const COUNT_IN_BAR_CHOICES = [0, 1, 2, 4];
+const MIN_LOOP_SECONDS = 0.2;
+// aloop counts in samples, so loops are resampled to a known rate first
+const LOOP_SAMPLE_RATE = 48000;
+// pressing m this close to a marker removes it instead of adding another
+const MARKER_SNAP_SECONDS = 0.5;
 
 let ffplayAvailableCache = null;
 let interactivePlayerNoticeShown = false;
@@ -41,16 +60,83 @@ const notifyInteractiveLimitation = (message) => {
   interactivePlayerNoticeShown = true;
 };
 
-const buildProgressBar = (currentSeconds, totalSeconds) => {
+// read on every render so the bar follows the terminal when it's resized
+const barWidth = () =>
+  Math.max((process.stdout.columns || 80) - 1, MIN_BAR_WIDTH);
+
+// the plain bar stands in until the waveform is ready, or when it can't load
+const buildProgressBar = (currentSeconds, totalSeconds, loop, width) => {
   if (!totalSeconds || totalSeconds <= 0) {
-    return "-".repeat(PROGRESS_BAR_WIDTH);
+    return "-".repeat(width);
   }
-  const ratio = Math.min(Math.max(currentSeconds / totalSeconds, 0), 1);
-  const filled = Math.round(ratio * PROGRESS_BAR_WIDTH);
-  const empty = PROGRESS_BAR_WIDTH - filled;
-  return `${"=".repeat(filled)}${"-".repeat(Math.max(empty, 0))}`;
+  const toCell = (seconds) =>
+    Math.round(Math.min(Math.max(seconds / totalSeconds, 0), 1) * width);
+  const filled = toCell(currentSeconds);
+  const loopStart = loop?.start ?? null;
+  const loopEnd = loop?.end ?? null;
+  const startCell = loopStart === null ? null : toCell(loopStart);
+  const endCell =
+    loopEnd === null ? null : Math.max(toCell(loopEnd) - 1, startCell ?? 0);
+
+  return Array.from({ length: width }, (_, cell) => {
+    if (cell === startCell || cell === endCell) return "|";
+    if (cell < filled) return "=";
+    const insideLoop =
+      loop?.active && cell > startCell && cell < endCell;
+    return insideLoop ? "~" : "-";
+  }).join("");
+};
+
+const renderQueueLines = (queue) => [
+  wrapLine(
+    `queue ${queue.label} · repeat ${queue.repeat ? "on" : "off"} · shuffle ${
+      queue.shuffle ? "on" : "off"
+    }${queue.nextTitle ? ` · next: ${queue.nextTitle}` : ""}`
+  ),
+  wrapLine("queue: n next · p previous · r repeat · s shuffle"),
+];
+
+const beatsPerBarFor = (meter) => {
+  const beats = Number(String(meter ?? "").split("/")[0]);
+  return Number.isInteger(beats) && beats > 0 ? beats : 4;
+};
+
+// an aevalsrc expression for the click. `t` is output time, so it gets mapped
+// back to track time first: count-in, playback speed and loop wrap all shift
+// it. beats land on offset + k * period in track time, and the first beat of
+// every bar is pitched up. the count-in always clicks.
+const buildClickExpression = (options) => {
+  const { start, countIn, tempo, period, beatsPerBar, offset, loop } = options;
+  const fixed = (value) => value.toFixed(4);
+  const linear = `${fixed(start)}+(t-${fixed(countIn)})*${fixed(tempo)}`;
+  const trackTime = loop
+    ? `if(lt(t,${fixed(countIn)}),${linear},${fixed(loop.start)}+mod(${fixed(
+        start - loop.start
+      )}+(t-${fixed(countIn)})*${fixed(tempo)},${fixed(loop.end - loop.start)}))`
+    : linear;
+  // shifting by whole bars keeps floor() and mod() away from negative numbers
+  const beats = `((${trackTime})-${fixed(offset)})/${fixed(period)}+${
+    beatsPerBar * 1000
+  }`;
+  const secondsIntoBeat = `((${beats})-floor(${beats}))*${fixed(
+    period / tempo
+  )}`;
+  const downbeat = `eq(mod(floor(${beats}),${beatsPerBar}),0)`;
+  return [
+    `if(lt(t,${fixed(countIn)}),1,${options.enabled ? 1 : 0})`,
+    `${options.volume.toFixed(2)}`,
+    `sin(2*PI*if(${downbeat},1600,1000)*t)`,
+    `exp(-80*${secondsIntoBeat})`,
+  ].join("*");
 };
 
+const formatLoopPoint = (seconds) =>
+  seconds === null
+    ? "--:--"
+    : `${formatTime(Math.floor(seconds))}.${Math.floor((seconds % 1) * 10)}`;
+
+let ffprobeMissingWarned = false;
+
 export async function getAudioDuration(filePath) {
   const command = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`;
   logDebug("Running ffprobe:", command);
@@ -62,9 +148,15 @@ export async function getAudioDuration(filePath) {
           error.message.includes("ENOENT") ||
           error.message.toLowerCase().includes("not found")
         ) {
-          voice.warn(
-            "ffprobe isn't available, so duration will be hidden. install ffmpeg to unlock it."
-          );
+          // a catalog load probes every take, so the advice is given once
+          if (ffprobeMissingWarned) {
+            logStage("AUDIO", "ffprobe missing", path.basename(filePath));
+          } else {
+            ffprobeMissingWarned = true;
+            voice.warn(
+              "ffprobe isn't available, so duration will be hidden. install ffmpeg to unlock it."
+            );
+          }
         } else {
           voice.warn("couldn't read the audio duration.");
         }
@@ -84,10 +176,63 @@ export async function getAudioDuration(filePath) {
   });
 }
 
-export async function playAudioFile(audioFilePath) {
+export async function probeAudioFile(filePath) {
+  const args = [
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration,format_name:stream=codec_type,codec_name",
+    "-of",
+    "json",
+    filePath,
+  ];
+  logDebug("Running ffprobe:", args.join(" "));
+  return new Promise((resolve, reject) => {
+    execFile("ffprobe", args, (error, stdout, stderr) => {
+      if (error) {
+        logDebug("ffprobe error:", stderr || error.message);
+        if (error.code === "ENOENT") {
+          reject(
+            new Error("ffprobe is missing. install ffmpeg and try again.")
+          );
+          return;
+        }
+        reject(new Error(`${path.basename(filePath)} isn't readable audio.`));
+        return;
+      }
+      let probe;
+      try {
+        probe = JSON.parse(stdout);
+      } catch {
+        reject(new Error("ffprobe returned something unexpected."));
+        return;
+      }
+      const audioStream = probe.streams?.find(
+        (stream) => stream.codec_type === "audio"
+      );
+      if (!audioStream) {
+        reject(new Error(`${path.basename(filePath)} has no audio in it.`));
+        return;
+      }
+      const duration = parseFloat(probe.format?.duration);
+      resolve({
+        durationSeconds: Number.isNaN(duration) ? null : duration,
+        formatName: probe.format?.format_name ?? null,
+        codecName: audioStream.codec_name ?? null,
+      });
+    });
+  });
+}
+
+// resolves with { completed, loop, markers, action, heardSeconds }; loop,
+// markers and heardSeconds are only set by the console player, and loop is
+// null once the listener cleared it. with `options.queue` the console player also takes next/previous/repeat/
+// shuffle keys, reports which way to go in `action` and hands back the updated
+// `queue` toggles.
+export async function playAudioFile(audioFilePath, options = {}) {
   if (!fs.existsSync(audioFilePath)) {
     voice.error("can't find that file to play.");
-    return;
+    return { completed: false };
   }
 
   logStage("PLAY", "Playing file", audioFilePath);
@@ -100,7 +245,8 @@ export async function playAudioFile(audioFilePath) {
         playbackResult = await playWithInteractiveConsole(
           audioFilePath,
           baseName,
-          duration
+          duration,
+          options
         );
       } catch (interactiveError) {
         logStage(
@@ -134,11 +280,13 @@ export async function playAudioFile(audioFilePath) {
       );
     }
 
+    const skipped = ["next", "previous"].includes(playbackResult?.action);
     if (playbackResult?.completed === false) {
-      voice.hint(`stopped ${baseName}.`);
+      if (!skipped) voice.hint(`stopped ${baseName}.`);
     } else {
       voice.success(`done listening to ${baseName}.`);
     }
+    return playbackResult ?? { completed: true };
   } catch (playError) {
     logStage("PLAY-ERROR", "detail", trimForLog(playError?.message || playError));
     if (!debugMode) {
@@ -146,6 +294,7 @@ export async function playAudioFile(audioFilePath) {
     } else {
       console.error(playError);
     }
+    return { completed: false };
   }
 }
 
@@ -253,7 +402,8 @@ const playWithBasicAudio = (audioFilePath, baseName, durationSeconds) =>
 const playWithInteractiveConsole = (
   audioFilePath,
   baseName,
-  durationSeconds
+  durationSeconds,
+  options = {}
 ) =>
   new Promise((resolve, reject) => {
     if (!supportsInteractiveConsole()) {
@@ -282,8 +432,44 @@ const playWithInteractiveConsole = (
       startedAt: Date.now(),
       playing: false,
       volume: 1,
+      tempo: 1,
+      // a saved loop comes back with its points set but switched off
+      loop: {
+        start: options.loop?.start ?? null,
+        end: options.loop?.end ?? null,
+        active: false,
+      },
+      notice: null,
+      noticeUntil: 0,
+      click: {
+        enabled: false,
+        volume: readPreferences().player?.clickVolume ?? 0.6,
+        offset: options.clickOffset ?? 0,
+      },
+      markers: [...(options.markers ?? [])],
+      waveform: null,
+      countInBars: readPreferences().player?.countInBars ?? 0,
+      // output seconds of count-in at the head of the current ffplay run
+      countInSeconds: 0,
+      // wall-clock seconds the take itself was heard, count-ins left out
+      heardSeconds: 0,
+      queue: options.queue
+        ? {
+            ...options.queue,
+            repeat: Boolean(options.queue.repeat),
+            shuffle: Boolean(options.queue.shuffle),
+          }
+        : null,
     };
 
+    const beat = options.tempo?.bpm
+      ? {
+          bpm: options.tempo.bpm,
+          period: 60 / options.tempo.bpm,
+          beatsPerBar: beatsPerBarFor(options.tempo.meter),
+        }
+      : null;
+
     const clampPosition = (seconds = 0) => {
       const safeValue = Math.max(0, seconds);
       if (!durationSeconds || durationSeconds <= 0) {
@@ -292,14 +478,51 @@ const playWithInteractiveConsole = (
       return Math.min(safeValue, durationSeconds);
     };
 
+    const loopReady = () =>
+      state.loop.start !== null &&
+      state.loop.end !== null &&
+      state.loop.end - state.loop.start >= MIN_LOOP_SECONDS;
+
+    const looping = () => state.loop.active && loopReady();
+
     const getLivePosition = () => {
       if (!state.playing) {
         return clampPosition(state.offset);
       }
-      const elapsed = (Date.now() - state.startedAt) / 1000;
-      return clampPosition(state.offset + elapsed);
+      // wall-clock time covers more or less of the track off normal speed,
+      // and none of it while the count-in is still clicking
+      const wallSeconds =
+        (Date.now() - state.startedAt) / 1000 - state.countInSeconds;
+      const elapsed = Math.max(wallSeconds, 0) * state.tempo;
+      const position = state.offset + elapsed;
+      if (looping() && position >= state.loop.end) {
+        const { start, end } = state.loop;
+        return start + ((position - start) % (end - start));
+      }
+      return clampPosition(position);
+    };
+
+    // banks the current ffplay run before it's stopped or replaced
+    const bankHeardSeconds = () => {
+      if (!state.playing) return;
+      const wallSeconds =
+        (Date.now() - state.startedAt) / 1000 - state.countInSeconds;
+      state.heardSeconds += Math.max(wallSeconds, 0);
     };
 
+    const countInRemaining = () =>
+      state.playing
+        ? state.countInSeconds - (Date.now() - state.startedAt) / 1000
+        : 0;
+
+    const showNotice = (text) => {
+      state.notice = text;
+      state.noticeUntil = Date.now() + 2500;
+    };
+
+    const currentLoop = () =>
+      loopReady() ? { start: state.loop.start, end: state.loop.end } : null;
+
     const clampVolume = (value = 1) =>
       Math.min(Math.max(value, MIN_VOLUME), MAX_VOLUME);
 
@@ -310,18 +533,76 @@ const playWithInteractiveConsole = (
         ? formatTime(durationSeconds)
         : "??:??";
       const volumePercent = Math.round(state.volume * 100);
+      const tempoPercent = Math.round(state.tempo * 100);
+      const { loop } = state;
+      const loopLabel =
+        loop.start === null && loop.end === null
+          ? "loop off"
+          : `loop ${formatLoopPoint(loop.start)}–${formatLoopPoint(
+              loop.end
+            )} ${looping() ? "on" : "off"}`;
+      const notice =
+        state.notice && Date.now() < state.noticeUntil ? state.notice : null;
+      const remaining = countInRemaining();
+      const statusLabel =
+        remaining > 0
+          ? `count-in ${Math.ceil((remaining * state.tempo) / beat.period)}…`
+          : state.playing
+            ? "playing"
+            : "paused";
+      const clickLabel = beat
+        ? `click ${state.click.enabled ? "on" : "off"} ${Math.round(
+            state.click.volume * 100
+          )}% ${state.click.offset >= 0 ? "+" : ""}${Math.round(
+            state.click.offset * 1000
+          )}ms · count-in ${state.countInBars} ${
+            state.countInBars === 1 ? "bar" : "bars"
+          } @ ${Math.round(beat.bpm)} bpm`
+        : "click needs a tempo";
+      const width = barWidth();
+      const shownLoop = { ...loop, active: looping() };
+      // the bar rows are already sized to the terminal, so they skip wrapLine
+      const barLines =
+        state.waveform && durationSeconds
+          ? renderWaveform(state.waveform, {
+              width,
+              currentSeconds: current,
+              totalSeconds: durationSeconds,
+              loop: shownLoop,
+              markers: state.markers,
+            })
+          : [
+              `[${buildProgressBar(
+                current,
+                durationSeconds,
+                shownLoop,
+                width - 2
+              )}]`,
+            ];
+      const markerLabel = state.markers.length
+        ? ` · ${state.markers.length} ${
+            state.markers.length === 1 ? "marker" : "markers"
+          }`
+        : "";
       const lines = [
         wrapLine(`listening to ${baseName}`),
+        ...barLines,
         wrapLine(
-          `[${buildProgressBar(current, durationSeconds)}] ${formatTime(
+          `${formatTime(
             current
-          )} / ${durationLabel} · ${
-            state.playing ? "playing" : "paused"
-          } · vol ${volumePercent}%`
+          )} / ${durationLabel} · ${statusLabel} · speed ${tempoPercent}% · vol ${volumePercent}% · ${loopLabel}${markerLabel}`
         ),
         wrapLine(
-          `controls: space play/pause · ← -${SEEK_SECONDS}s · → +${SEEK_SECONDS}s · ↑ louder · ↓ softer · q exit`
+          `controls: space play/pause · ← -${SEEK_SECONDS}s · → +${SEEK_SECONDS}s · ↑ louder · ↓ softer · - slower · + faster · = normal speed · q exit`
         ),
+        wrapLine(
+          "loop: a start here · b end here · l on/off · [ ] nudge start · { } nudge end · x clear · m marker here"
+        ),
+        wrapLine(
+          `click: c on/off · 9 0 click volume · , . nudge click · k count-in bars · ${clickLabel}`
+        ),
+        ...(state.queue ? renderQueueLines(state.queue) : []),
+        ...(notice ? [wrapLine(notice)] : []),
       ];
       logUpdate(lines.join("\n"));
     };
@@ -359,14 +640,26 @@ const playWithInteractiveConsole = (
         }
       });
 
-    const finalize = async (completed) => {
+    const finalize = async (
+      completed,
+      action = completed ? "next" : "stop"
+    ) => {
       if (done) return;
       done = true;
       clearInterval(progressTimer);
+      bankHeardSeconds();
       await stopCurrentProcess();
       detachKeypress();
       clearUi();
-      resolve({ completed });
+      resolve({
+        completed,
+        heardSeconds: Math.round(state.heardSeconds * 10) / 10,
+        loop: currentLoop(),
+        clickOffset: state.click.offset,
+        markers: state.markers,
+        action,
+        ...(state.queue ? { queue: state.queue } : {}),
+      });
     };
 
     const fail = async (error) => {
@@ -396,6 +689,7 @@ const playWithInteractiveConsole = (
         return;
       }
 
+      bankHeardSeconds();
       state.playing = false;
       finalize(true);
     };
@@ -420,9 +714,81 @@ const playWithInteractiveConsole = (
       );
     };
 
-    const startPlayback = async (startSeconds = 0) => {
+    const buildTrackArgs = (start) => {
+      // atempo stretches time without shifting pitch
+      const outputFilters = [
+        ...(state.tempo !== 1 ? [`atempo=${state.tempo.toFixed(2)}`] : []),
+        `volume=${state.volume.toFixed(2)}`,
+      ];
+      if (!looping()) {
+        return {
+          inputArgs: ["-ss", start.toFixed(2), "-i", audioFilePath],
+          filters: outputFilters,
+        };
+      }
+      // trim the region, repeat it forever, then skip into the first pass so
+      // playback picks up where the listener is instead of at the loop start
+      const { start: loopStart, end: loopEnd } = state.loop;
+      const loopSamples = Math.round((loopEnd - loopStart) * LOOP_SAMPLE_RATE);
+      return {
+        inputArgs: ["-i", audioFilePath],
+        filters: [
+          `atrim=start=${loopStart.toFixed(3)}:end=${loopEnd.toFixed(3)}`,
+          "asetpts=PTS-STARTPTS",
+          `aresample=${LOOP_SAMPLE_RATE}`,
+          `aloop=loop=-1:size=${loopSamples}`,
+          `atrim=start=${(start - loopStart).toFixed(3)}`,
+          "asetpts=PTS-STARTPTS",
+          ...outputFilters,
+        ],
+      };
+    };
+
+    const buildFilterArgs = (start) => {
+      const { inputArgs, filters } = buildTrackArgs(start);
+      const countIn = state.countInSeconds;
+      if (!beat || (!state.click.enabled && !countIn)) {
+        return [...inputArgs, "-af", filters.join(",")];
+      }
+      // the click is generated inside the same graph and mixed over the take,
+      // which waits out the count-in behind adelay
+      const delayMs = Math.round(countIn * 1000);
+      const trackChain = [
+        ...filters,
+        ...(delayMs ? [`adelay=${delayMs}|${delayMs}`] : []),
+      ].join(",");
+      const clickExpression = buildClickExpression({
+        start,
+        countIn,
+        tempo: state.tempo,
+        period: beat.period,
+        beatsPerBar: beat.beatsPerBar,
+        offset: state.click.offset,
+        loop: looping() ? state.loop : null,
+        enabled: state.click.enabled,
+        volume: state.click.volume,
+      });
+      // amix halves each input, so bring the take back to its own level
+      const graph = [
+        `[in]${trackChain}[track]`,
+        `aevalsrc='${clickExpression}':s=${CLICK_SAMPLE_RATE}[click]`,
+        "[track][click]amix=inputs=2:duration=first,volume=2[out]",
+      ].join(";");
+      return [...inputArgs, "-af", graph];
+    };
+
+    // a count-in only plays when playback starts or resumes, not on seeks
+    const startPlayback = async (startSeconds = 0, { countIn = false } = {}) => {
+      bankHeardSeconds();
       await stopCurrentProcess();
-      const start = clampPosition(startSeconds);
+      let start = clampPosition(startSeconds);
+      if (looping() && (start < state.loop.start || start >= state.loop.end)) {
+        start = state.loop.start;
+      }
+      state.countInSeconds =
+        countIn && beat && state.countInBars
+          ? (state.countInBars * beat.beatsPerBar * beat.period) / state.tempo
+          : 0;
       state.offset = start;
       state.startedAt = Date.now();
       state.playing = true;
@@ -435,12 +801,7 @@ const playWithInteractiveConsole = (
         "-hide_banner",
         "-loglevel",
         "error",
-        "-ss",
-        start.toFixed(2),
-        "-i",
-        audioFilePath,
-        "-af",
-        `volume=${state.volume.toFixed(2)}`,
+        ...buildFilterArgs(start),
       ]);
 
       ffplayProcess = child;
@@ -452,13 +813,14 @@ const playWithInteractiveConsole = (
     const pausePlayback = async () => {
       if (!state.playing) return;
       state.offset = getLivePosition();
+      bankHeardSeconds();
       state.playing = false;
       await stopCurrentProcess();
       render();
     };
 
     const resumePlayback = async () => {
-      await startPlayback(state.offset);
+      await startPlayback(state.offset, { countIn: true });
     };
 
     const seekBy = async (deltaSeconds) => {
@@ -488,6 +850,224 @@ const playWithInteractiveConsole = (
       }
     };
 
+    const adjustTempo = async (delta) => {
+      const nextTempo =
+        delta === null
+          ? 1
+          : Math.min(
+              Math.max(
+                Math.round((state.tempo + delta) * 100) / 100,
+                MIN_TEMPO
+              ),
+              MAX_TEMPO
+            );
+      if (nextTempo === state.tempo) {
+        render();
+        return;
+      }
+      // pin the position before the rate changes so elapsed time isn't
+      // rescaled with the new speed
+      const position = getLivePosition();
+      state.tempo = nextTempo;
+      if (state.playing) {
+        await startPlayback(position);
+      } else {
+        render();
+      }
+    };
+
+    const requireBeat = () => {
+      if (!beat) {
+        showNotice("no tempo for this take yet, so there's nothing to click.");
+        render();
+      }
+      return Boolean(beat);
+    };
+
+    // click changes are baked into the ffplay graph, so restart to hear them
+    const applyClickChange = async () => {
+      if (state.playing) {
+        await startPlayback(getLivePosition());
+      } else {
+        render();
+      }
+    };
+
+    const toggleClick = async () => {
+      if (!requireBeat()) return;
+      state.click.enabled = !state.click.enabled;
+      showNotice(`click ${state.click.enabled ? "on" : "off"}.`);
+      await applyClickChange();
+    };
+
+    const adjustClickVolume = async (delta) => {
+      if (!requireBeat()) return;
+      const nextVolume = Math.min(
+        Math.max(Math.round((state.click.volume + delta) * 100) / 100, 0),
+        MAX_CLICK_VOLUME
+      );
+      if (nextVolume === state.click.volume) {
+        render();
+        return;
+      }
+      state.click.volume = nextVolume;
+      updatePreferences("player", { clickVolume: nextVolume });
+      if (state.click.enabled) {
+        await applyClickChange();
+      } else {
+        render();
+      }
+    };
+
+    // lines the click up with the take's first downbeat
+    const nudgeClickOffset = async (delta) => {
+      if (!requireBeat()) return;
+      state.click.offset =
+        Math.round((state.click.offset + delta) * 1000) / 1000;
+      if (state.click.enabled) {
+        await applyClickChange();
+      } else {
+        render();
+      }
+    };
+
+    const cycleCountIn = () => {
+      if (!requireBeat()) return;
+      const current = COUNT_IN_BAR_CHOICES.indexOf(state.countInBars);
+      state.countInBars =
+        COUNT_IN_BAR_CHOICES[(current + 1) % COUNT_IN_BAR_CHOICES.length];
+      updatePreferences("player", { countInBars: state.countInBars });
+      showNotice(
+        state.countInBars
+          ? `count-in of ${state.countInBars} ${
+              state.countInBars === 1 ? "bar" : "bars"
+            } when playback starts.`
+          : "count-in off."
+      );
+      render();
+    };
+
+    // "previous" restarts the take first, like most players do
+    const handleQueueKey = async (name) => {
+      const { queue } = state;
+      switch (name) {
+        case "n":
+          await finalize(false, "next");
+          break;
+        case "p":
+          if (getLivePosition() > RESTART_THRESHOLD_SECONDS) {
+            await startPlayback(0);
+          } else {
+            await finalize(false, "previous");
+          }
+          break;
+        case "r":
+          queue.repeat = !queue.repeat;
+          showNotice(`repeat ${queue.repeat ? "on" : "off"}.`);
+          render();
+          break;
+        case "s":
+          queue.shuffle = !queue.shuffle;
+          showNotice(`shuffle ${queue.shuffle ? "on" : "off"}.`);
+          render();
+          break;
+        default:
+          break;
+      }
+    };
+
+    // restarts playback so a changed loop is heard right away
+    const applyLoopChange = async (wasLooping) => {
+      if (state.playing && (wasLooping || looping())) {
+        await startPlayback(getLivePosition());
+      } else {
+        render();
+      }
+    };
+
+    const setLoopPoint = async (edge) => {
+      const wasLooping = looping();
+      const position = getLivePosition();
+      if (edge === "start") {
+        state.loop.start = position;
+        if (state.loop.end !== null && state.loop.end <= position) {
+          state.loop.end = null;
+        }
+      } else {
+        if (position <= (state.loop.start ?? 0)) {
+          showNotice("the loop end has to come after its start.");
+          render();
+          return;
+        }
+        state.loop.start = state.loop.start ?? 0;
+        state.loop.end = position;
+      }
+      showNotice(
+        `loop ${edge} set at ${formatLoopPoint(position)}${
+          loopReady() && !state.loop.active ? " · press l to loop it" : ""
+        }`
+      );
+      await applyLoopChange(wasLooping);
+    };
+
+    const nudgeLoopPoint = async (edge, delta) => {
+      if (state.loop[edge] === null) {
+        showNotice(`set the loop ${edge} first (${edge === "start" ? "a" : "b"}).`);
+        render();
+        return;
+      }
+      const wasLooping = looping();
+      const next = clampPosition(
+        Math.round((state.loop[edge] + delta) * 10) / 10
+      );
+      const other = edge === "start" ? state.loop.end : state.loop.start;
+      const tooTight =
+        other !== null &&
+        (edge === "start"
+          ? other - next < MIN_LOOP_SECONDS
+          : next - other < MIN_LOOP_SECONDS);
+      if (tooTight) {
+        showNotice("the loop can't get any shorter.");
+        render();
+        return;
+      }
+      state.loop[edge] = next;
+      await applyLoopChange(wasLooping);
+    };
+
+    const toggleLoop = async () => {
+      if (!loopReady()) {
+        showNotice("set a loop start (a) and end (b) first.");
+        render();
+        return;
+      }
+      const wasLooping = looping();
+      state.loop.active = !state.loop.active;
+      await applyLoopChange(wasLooping);
+    };
+
+    const clearLoop = async () => {
+      const wasLooping = looping();
+      state.loop = { start: null, end: null, active: false };
+      showNotice("loop cleared.");
+      await applyLoopChange(wasLooping);
+    };
+
+    const toggleMarker = () => {
+      const position = Math.round(getLivePosition() * 10) / 10;
+      const nearby = state.markers.findIndex(
+        (marker) => Math.abs(marker - position) <= MARKER_SNAP_SECONDS
+      );
+      if (nearby >= 0) {
+        const [removed] = state.markers.splice(nearby, 1);
+        showNotice(`removed the marker at ${formatLoopPoint(removed)}.`);
+      } else {
+        state.markers = [...state.markers, position].sort((a, b) => a - b);
+        showNotice(`marker at ${formatLoopPoint(position)}.`);
+      }
+      render();
+    };
+
     const onKeypress = async (_, key = {}) => {
       if (busy) return;
       busy = true;
@@ -497,7 +1077,8 @@ const playWithInteractiveConsole = (
           return;
         }
 
-        switch (key.name) {
+        // brackets and braces have no key name, only a sequence
+        switch (key.name || key.sequence) {
           case "space":
             if (state.playing) {
               await pausePlayback();
@@ -517,6 +1098,68 @@ const playWithInteractiveConsole = (
           case "down":
             await adjustVolume(-VOLUME_STEP);
             break;
+          case "-":
+            await adjustTempo(-TEMPO_STEP);
+            break;
+          case "+":
+            await adjustTempo(TEMPO_STEP);
+            break;
+          case "=":
+            await adjustTempo(null);
+            break;
+          case "c":
+            await toggleClick();
+            break;
+          case "9":
+            await adjustClickVolume(-CLICK_VOLUME_STEP);
+            break;
+          case "0":
+            await adjustClickVolume(CLICK_VOLUME_STEP);
+            break;
+          case ",":
+            await nudgeClickOffset(-CLICK_OFFSET_STEP);
+            break;
+          case ".":
+            await nudgeClickOffset(CLICK_OFFSET_STEP);
+            break;
+          case "k":
+            cycleCountIn();
+            break;
+          case "n":
+          case "p":
+          case "r":
+          case "s":
+            if (state.queue) {
+              await handleQueueKey(key.name);
+            }
+            break;
+          case "a":
+            await setLoopPoint("start");
+            break;
+          case "b":
+            await setLoopPoint("end");
+            break;
+          case "l":
+            await toggleLoop();
+            break;
+          case "x":
+            await clearLoop();
+            break;
+          case "m":
+            toggleMarker();
+            break;
+          case "[":
+            await nudgeLoopPoint("start", -LOOP_NUDGE_SECONDS);
+            break;
+          case "]":
+            await nudgeLoopPoint("start", LOOP_NUDGE_SECONDS);
+            break;
+          case "{":
+            await nudgeLoopPoint("end", -LOOP_NUDGE_SECONDS);
+            break;
+          case "}":
+            await nudgeLoopPoint("end", LOOP_NUDGE_SECONDS);
+            break;
           case "q":
           case "escape":
           case "return":
@@ -536,7 +1179,15 @@ const playWithInteractiveConsole = (
 
     progressTimer = setInterval(render, 120);
     render();
-    startPlayback(0).catch((error) => fail(error));
+    startPlayback(0, { countIn: true }).catch((error) => fail(error));
+    loadWaveform(audioFilePath)
+      .then((waveform) => {
+        state.waveform = waveform;
+        render();
+      })
+      .catch((error) => {
+        logStage("PLAY", "waveform unavailable", trimForLog(error.message));
+      });
   });
 
 export async function combineDrumStems(wavFiles, outputDir) {
@@ -577,8 +1228,8 @@ export async function combineDrumStems(wavFiles, outputDir) {
     await new Promise((resolve, reject) => {
       const ffmpegProcess = exec(command, (error, stdout, stderr) => {
         if (debugMode) {
-          if (stderr) process.stdout.write(stderr);
-          if (stdout) process.stdout.write(stdout);
+          if (stderr) process.stderr.write(stderr);
+          if (stdout) process.stderr.write(stdout);
         }
         if (error) {
           if (
@@ -624,3 +1275,48 @@ export async function combineDrumStems(wavFiles, outputDir) {
     throw error;
   }
 }
+
+// `channels` pairs each stem file with its mixer settings:
+// [{ file, gainDb, pan, mute, solo }]
+export async function renderStemMix(channels, outputPath) {
+  const audible = audibleChannels(channels);
+  if (!audible.length) {
+    throw new Error("every stem is muted, so there's nothing to mix.");
+  }
+
+  const args = [
+    "-v",
+    "error",
+    ...audible.flatMap((channel) => ["-i", channel.file]),
+    "-filter_complex",
+    buildMixFilter(audible),
+    "-map",
+    "[mix]",
+    "-y",
+    outputPath,
+  ];
+  logStage("FFMPEG", "Rendering mix", trimForLog(args.join(" ")));
+
+  await new Promise((resolve, reject) => {
+    execFile("ffmpeg", args, (error, stdout, stderr) => {
+      if (debugMode && stderr) {
+        process.stderr.write(stderr);
+      }
+      if (!error) {
+        resolve();
+        return;
+      }
+      if (error.code === "ENOENT") {
+        reject(new Error("ffmpeg is missing. install it and try again."));
+        return;
+      }
+      logStage("FFMPEG-ERROR", "Mix failure", trimForLog(stderr));
+      reject(
+        new Error(
+          "ffmpeg couldn't render the mix. run with --debug for the raw output."
+        )
+      );
+    });
+  });
+  return outputPath;
+}
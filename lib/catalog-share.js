@@ -0,0 +1,363 @@
+import fs from "fs";
+import path from "path";
+
+import { mergeImportedMetadata } from "./take-metadata.js";
+import { cleanTakeTitle } from "./titles.js";
+import { logStage } from "./debug.js";
+
+export const CATALOG_SHARE_VERSION = 1;
+export const CATALOG_SHARE_FORMATS = ["json", "csv"];
+
+// one note per line inside the notes cell. notes are free text, so commas
+// and slashes ("AC/DC - Back in Black") have to survive the round trip.
+const CSV_NOTE_SEPARATOR = "\n";
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "video_id",
+  "url",
+  "source_type",
+  "original_title",
+  "duration_seconds",
+  "bpm",
+  "meter",
+  "notes",
+  "play_count",
+  "last_played_at",
+  "added_at",
+];
+
+const toIsoOrNull = (date) => (date ? new Date(date).toISOString() : null);
+
+const roundSeconds = (seconds) =>
+  Number.isFinite(seconds) ? Math.round(seconds * 10) / 10 : null;
+
+export const toCatalogRecord = (take) => ({
+  id: take.id,
+  title: take.title,
+  source: take.source
+    ? {
+        type: take.source.type,
+        videoId: take.source.videoId,
+        url: take.source.url,
+        originalTitle: take.source.originalTitle,
+      }
+    : null,
+  durationSeconds: roundSeconds(take.durationSeconds),
+  bpm: take.tempo?.bpm ?? null,
+  meter: take.tempo?.meter ?? null,
+  notes: (take.noteEntries ?? []).map((note) => ({
+    text: note.text,
+    createdAt: note.createdAt,
+  })),
+  playCount: take.playCount ?? 0,
+  lastPlayedAt: toIsoOrNull(take.lastPlayedAt),
+  // the folder's mtime moves with every mix or note, so it can't stand in
+  addedAt: toIsoOrNull(take.processing?.processedAt),
+});
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const encodeCsvNotes = (notes) =>
+  notes
+    .map((note) => note.text.replace(/\s*[\r\n]+\s*/g, " "))
+    .join(CSV_NOTE_SEPARATOR);
+
+const decodeCsvNotes = (cell) =>
+  cell
+    .split(/\r?\n/)
+    .map((text) => text.trim())
+    .filter(Boolean);
+
+const toCsvRow = (record) =>
+  [
+    record.id,
+    record.title,
+    record.source?.videoId,
+    record.source?.url,
+    record.source?.type,
+    record.source?.originalTitle,
+    record.durationSeconds,
+    record.bpm,
+    record.meter,
+    encodeCsvNotes(record.notes),
+    record.playCount,
+    record.lastPlayedAt,
+    record.addedAt,
+  ]
+    .map(escapeCsvCell)
+    .join(",");
+
+export const serializeCatalog = (records, format) => {
+  if (format === "csv") {
+    const rows = [CSV_COLUMNS.join(","), ...records.map(toCsvRow)];
+    return `${rows.join("\n")}\n`;
+  }
+  return `${JSON.stringify(
+    {
+      version: CATALOG_SHARE_VERSION,
+      exportedAt: new Date().toISOString(),
+      takes: records,
+    },
+    null,
+    2
+  )}\n`;
+};
+
+// a small rfc 4180 reader: quoted cells may hold commas, quotes and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+const toNumberOrNull = (value) => {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : null;
+};
+
+const fromCsvRow = (header, cells) => {
+  const cell = (column) => (cells[header.indexOf(column)] ?? "").trim();
+  const sourceType = cell("source_type");
+  return {
+    id: cell("id") || null,
+    title: cell("title") || null,
+    source: sourceType
+      ? {
+          type: sourceType,
+          videoId: cell("video_id") || null,
+          url: cell("url") || null,
+          originalTitle: cell("original_title") || null,
+        }
+      : null,
+    durationSeconds: toNumberOrNull(cell("duration_seconds")),
+    bpm: toNumberOrNull(cell("bpm")),
+    meter: cell("meter") || null,
+    notes: decodeCsvNotes(cell("notes")).map((text) => ({
+      text,
+      createdAt: null,
+    })),
+    playCount: toNumberOrNull(cell("play_count")) ?? 0,
+    lastPlayedAt: cell("last_played_at") || null,
+    addedAt: cell("added_at") || null,
+  };
+};
+
+const normalizeRecord = (record) => ({
+  ...record,
+  title: typeof record.title === "string" ? record.title.trim() : null,
+  source: record.source?.type ? record.source : null,
+  notes: Array.isArray(record.notes)
+    ? record.notes
+        .map((note) => (typeof note === "string" ? { text: note } : note))
+        .filter((note) => typeof note?.text === "string" && note.text.trim())
+        .map((note) => ({
+          text: note.text.trim(),
+          createdAt: note.createdAt ?? null,
+        }))
+    : [],
+});
+
+export const parseCatalog = (text, format) => {
+  if (format === "csv") {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const columns = header.map((column) => column.trim().toLowerCase());
+    if (!columns.includes("title") && !columns.includes("video_id")) {
+      throw new Error("that csv needs a title or video_id column.");
+    }
+    return rows.map((cells) => normalizeRecord(fromCsvRow(columns, cells)));
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("that file isn't valid json.");
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed?.takes;
+  if (!Array.isArray(records)) {
+    throw new Error("that json has no list of takes in it.");
+  }
+  return records.filter(Boolean).map(normalizeRecord);
+};
+
+export const formatFromPath = (filePath, fallback = "json") => {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return CATALOG_SHARE_FORMATS.includes(extension) ? extension : fallback;
+};
+
+export const parseCatalogFormat = (value = "") => {
+  const format = value.trim().toLowerCase();
+  if (!CATALOG_SHARE_FORMATS.includes(format)) {
+    throw new Error(`"${value}" isn't a catalog format. try json or csv.`);
+  }
+  return format;
+};
+
+export const exportCatalog = (takes, filePath, format) => {
+  const records = takes.map(toCatalogRecord);
+  fs.writeFileSync(filePath, serializeCatalog(records, format));
+  logStage("SHARE", "exported", { filePath, format, count: records.length });
+  return records.length;
+};
+
+export const readCatalogFile = (filePath, format) => {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`can't find ${filePath}.`);
+  }
+  return parseCatalog(fs.readFileSync(filePath, "utf-8"), format);
+};
+
+const titleKey = (title) =>
+  title ? cleanTakeTitle(title).toLowerCase() : null;
+
+const takeTitleKeys = (take) =>
+  new Set(
+    [take.title, take.folderTitle, take.source?.originalTitle]
+      .map(titleKey)
+      .filter(Boolean)
+  );
+
+// the video id wins; titles are compared after the youtube noise is stripped
+const findMatches = (record, takes) => {
+  const videoId = record.source?.videoId;
+  if (videoId) {
+    const byVideo = takes.filter((take) => take.source?.videoId === videoId);
+    if (byVideo.length) {
+      return { by: "video", takes: byVideo };
+    }
+  }
+  const keys = [record.title, record.source?.originalTitle]
+    .map(titleKey)
+    .filter(Boolean);
+  return {
+    by: "title",
+    takes: takes.filter((take) => {
+      const takeKeys = takeTitleKeys(take);
+      return keys.some((key) => takeKeys.has(key));
+    }),
+  };
+};
+
+const describeRecord = (record) =>
+  record.title ?? record.source?.videoId ?? record.id ?? "an untitled take";
+
+// works out what an import would change without touching anything. only
+// additions are planned; anything that disagrees ends up in `conflicts`.
+export const planCatalogImport = (records, takes) => {
+  const plan = { updates: [], unchanged: [], unmatched: [], conflicts: [] };
+  records.forEach((record) => {
+    const label = describeRecord(record);
+    const matches = findMatches(record, takes);
+    if (!matches.takes.length) {
+      plan.unmatched.push({ record, label });
+      return;
+    }
+    if (matches.takes.length > 1) {
+      plan.conflicts.push({
+        record,
+        label,
+        reason: `matches ${matches.takes.length} takes (${matches.takes
+          .map((take) => take.id)
+          .join(", ")})`,
+      });
+      return;
+    }
+
+    const [take] = matches.takes;
+    const recordVideoId = record.source?.videoId;
+    const takeVideoId = take.source?.videoId;
+    if (recordVideoId && takeVideoId && recordVideoId !== takeVideoId) {
+      plan.conflicts.push({
+        record,
+        label,
+        take,
+        reason: `same title as ${take.id} but a different video`,
+      });
+      return;
+    }
+
+    const known = new Set(
+      (take.notes ?? []).map((note) => note.toLowerCase())
+    );
+    const notes = record.notes.filter((note) => {
+      const key = note.text.toLowerCase();
+      if (known.has(key)) return false;
+      known.add(key);
+      return true;
+    });
+
+    const titleDiffers =
+      record.title && titleKey(record.title) !== titleKey(take.title);
+    let title = null;
+    if (titleDiffers && take.customTitle) {
+      plan.conflicts.push({
+        record,
+        label,
+        take,
+        reason: `titled “${take.title}” here, “${record.title}” in the file`,
+      });
+    } else if (titleDiffers && matches.by === "video") {
+      title = record.title;
+    }
+
+    const source = !take.source && record.source ? record.source : null;
+    const update = { take, label, by: matches.by, notes, title, source };
+    if (notes.length || title || source) {
+      plan.updates.push(update);
+    } else {
+      plan.unchanged.push(update);
+    }
+  });
+  return plan;
+};
+
+export const applyCatalogImport = async (plan) => {
+  for (const update of plan.updates) {
+    await mergeImportedMetadata(update.take.folderPath, {
+      notes: update.notes.map((note) => ({ ...note, editedAt: null })),
+      title: update.title,
+      source: update.source,
+    });
+    logStage("SHARE", "merged", {
+      take: update.take.id,
+      notes: update.notes.length,
+      title: update.title,
+    });
+  }
+  return plan.updates.length;
+};
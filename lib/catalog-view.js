@@ -0,0 +1,263 @@
+import { readPreferences, updatePreferences } from "./preferences.js";
+import { fuzzyMatchFields } from "./fuzzy.js";
+import { formatTime } from "./ui.js";
+
+export const SORT_OPTIONS = [
+  { name: "recent", message: "recently added" },
+  { name: "title", message: "title" },
+  { name: "duration", message: "length" },
+  { name: "played", message: "last played" },
+  { name: "tempo", message: "tempo" },
+];
+
+export const ADDED_WITHIN_OPTIONS = [
+  { name: "any", message: "any time", days: null },
+  { name: "day", message: "today", days: 1 },
+  { name: "week", message: "this week", days: 7 },
+  { name: "month", message: "this month", days: 30 },
+  { name: "year", message: "this year", days: 365 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BPM_TOLERANCE = 4;
+const LENGTH_TOLERANCE_SECONDS = 30;
+
+const DEFAULT_FILTERS = {
+  neverPlayed: false,
+  hasMatches: false,
+  minSeconds: null,
+  maxSeconds: null,
+  addedWithinDays: null,
+  minBpm: null,
+  maxBpm: null,
+};
+
+const toNonNegativeOrNull = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0
+    ? value
+    : null;
+
+export const normalizeCatalogView = (raw = {}) => {
+  const filters = { ...DEFAULT_FILTERS, ...(raw.filters ?? {}) };
+  return {
+    sort: SORT_OPTIONS.some((option) => option.name === raw.sort)
+      ? raw.sort
+      : "recent",
+    filters: {
+      neverPlayed: Boolean(filters.neverPlayed),
+      hasMatches: Boolean(filters.hasMatches),
+      minSeconds: toNonNegativeOrNull(filters.minSeconds),
+      maxSeconds: toNonNegativeOrNull(filters.maxSeconds),
+      addedWithinDays: toNonNegativeOrNull(filters.addedWithinDays),
+      minBpm: toNonNegativeOrNull(filters.minBpm),
+      maxBpm: toNonNegativeOrNull(filters.maxBpm),
+    },
+  };
+};
+
+export const readCatalogView = () =>
+  normalizeCatalogView(readPreferences().catalog);
+
+export const saveCatalogView = (view) =>
+  updatePreferences("catalog", normalizeCatalogView(view));
+
+export const clearCatalogFilters = (view) => ({
+  ...view,
+  filters: { ...DEFAULT_FILTERS },
+});
+
+export const hasActiveFilters = ({ filters }) =>
+  filters.neverPlayed ||
+  filters.hasMatches ||
+  filters.minSeconds !== null ||
+  filters.maxSeconds !== null ||
+  filters.addedWithinDays !== null ||
+  filters.minBpm !== null ||
+  filters.maxBpm !== null;
+
+const parseClock = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+  const match = trimmed.match(/^(\d+)(?::([0-5]?\d))?$/);
+  if (!match) {
+    throw new Error(`"${trimmed}" isn't a length like 3 or 2:30.`);
+  }
+  return Number(match[1]) * 60 + Number(match[2] ?? 0);
+};
+
+// "2-5" is two to five minutes, "1:30-" is anything from 1:30 up and "3"
+// alone means within half a minute of it, since no take is exactly 3:00
+export const parseDurationRange = (value = "") => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return { minSeconds: null, maxSeconds: null };
+  }
+  if (!trimmed.includes("-")) {
+    const seconds = parseClock(trimmed);
+    return {
+      minSeconds: Math.max(seconds - LENGTH_TOLERANCE_SECONDS, 0),
+      maxSeconds: seconds + LENGTH_TOLERANCE_SECONDS,
+    };
+  }
+  const [minPart, maxPart] = trimmed.split("-");
+  const minSeconds = parseClock(minPart);
+  const maxSeconds = parseClock(maxPart);
+  if (minSeconds !== null && maxSeconds !== null && minSeconds > maxSeconds) {
+    throw new Error("the shortest length has to come first.");
+  }
+  return { minSeconds, maxSeconds };
+};
+
+const parseBpm = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+  if (!/^\d+(?:\.\d+)?$/.test(trimmed)) {
+    throw new Error(`"${trimmed}" isn't a tempo like 96.`);
+  }
+  return Number(trimmed);
+};
+
+// "90-110" is a range, "96" alone means within a few bpm of it
+export const parseBpmRange = (value = "") => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return { minBpm: null, maxBpm: null };
+  }
+  if (!trimmed.includes("-")) {
+    const bpm = parseBpm(trimmed);
+    return {
+      minBpm: Math.max(bpm - BPM_TOLERANCE, 0),
+      maxBpm: bpm + BPM_TOLERANCE,
+    };
+  }
+  const [minPart, maxPart] = trimmed.split("-");
+  const minBpm = parseBpm(minPart);
+  const maxBpm = parseBpm(maxPart);
+  if (minBpm !== null && maxBpm !== null && minBpm > maxBpm) {
+    throw new Error("the slower tempo has to come first.");
+  }
+  return { minBpm, maxBpm };
+};
+
+export const formatBpmRange = ({ minBpm, maxBpm }) => {
+  if (minBpm === null && maxBpm === null) {
+    return "any tempo";
+  }
+  if (maxBpm === null) {
+    return `${minBpm} bpm and up`;
+  }
+  if (minBpm === null) {
+    return `up to ${maxBpm} bpm`;
+  }
+  return `${minBpm}–${maxBpm} bpm`;
+};
+
+export const formatDurationRange = ({ minSeconds, maxSeconds }) => {
+  if (minSeconds === null && maxSeconds === null) {
+    return "any length";
+  }
+  if (maxSeconds === null) {
+    return `${formatTime(minSeconds)} and up`;
+  }
+  if (minSeconds === null) {
+    return `up to ${formatTime(maxSeconds)}`;
+  }
+  return `${formatTime(minSeconds)}–${formatTime(maxSeconds)}`;
+};
+
+export const describeCatalogView = (view) => {
+  const parts = [
+    `sorted by ${
+      SORT_OPTIONS.find((option) => option.name === view.sort)?.message
+    }`,
+  ];
+  const { filters } = view;
+  if (filters.neverPlayed) parts.push("never played");
+  if (filters.hasMatches) parts.push("has matches");
+  if (filters.minSeconds !== null || filters.maxSeconds !== null) {
+    parts.push(formatDurationRange(filters));
+  }
+  if (filters.minBpm !== null || filters.maxBpm !== null) {
+    parts.push(formatBpmRange(filters));
+  }
+  if (filters.addedWithinDays !== null) {
+    const option = ADDED_WITHIN_OPTIONS.find(
+      (candidate) => candidate.days === filters.addedWithinDays
+    );
+    parts.push(`added ${option?.message ?? `in ${filters.addedWithinDays}d`}`);
+  }
+  return parts.join(" · ");
+};
+
+export const filterTakes = (takes, filters) => {
+  const now = Date.now();
+  return takes.filter((take) => {
+    if (filters.neverPlayed && take.lastPlayedAt) return false;
+    if (filters.hasMatches && !take.notes?.length) return false;
+    if (filters.minSeconds !== null || filters.maxSeconds !== null) {
+      if (typeof take.durationSeconds !== "number") return false;
+      if (
+        filters.minSeconds !== null &&
+        take.durationSeconds < filters.minSeconds
+      ) {
+        return false;
+      }
+      if (
+        filters.maxSeconds !== null &&
+        take.durationSeconds > filters.maxSeconds
+      ) {
+        return false;
+      }
+    }
+    if (filters.minBpm !== null || filters.maxBpm !== null) {
+      const bpm = take.tempo?.bpm;
+      if (typeof bpm !== "number") return false;
+      if (filters.minBpm !== null && bpm < filters.minBpm) return false;
+      if (filters.maxBpm !== null && bpm > filters.maxBpm) return false;
+    }
+    if (
+      filters.addedWithinDays !== null &&
+      now - take.addedAt.getTime() > filters.addedWithinDays * DAY_MS
+    ) {
+      return false;
+    }
+    return true;
+  });
+};
+
+const byRecent = (a, b) => b.addedAt.getTime() - a.addedAt.getTime();
+
+const SORTERS = {
+  recent: byRecent,
+  title: (a, b) =>
+    a.title.localeCompare(b.title, undefined, { sensitivity: "base" }),
+  duration: (a, b) =>
+    (a.durationSeconds ?? Infinity) - (b.durationSeconds ?? Infinity),
+  played: (a, b) =>
+    (b.lastPlayedAt?.getTime() ?? 0) - (a.lastPlayedAt?.getTime() ?? 0) ||
+    byRecent(a, b),
+  tempo: (a, b) =>
+    (a.tempo?.bpm ?? Infinity) - (b.tempo?.bpm ?? Infinity) || byRecent(a, b),
+};
+
+export const sortTakes = (takes, sort) =>
+  [...takes].sort(SORTERS[sort] ?? SORTERS.recent);
+
+// keeps the incoming order when the query is empty
+export const searchTakes = (takes, query = "") => {
+  if (!query.trim()) {
+    return takes;
+  }
+  return takes
+    .map((take) => ({
+      take,
+      score: fuzzyMatchFields(query, [take.title, ...(take.notes ?? [])]),
+    }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ take }) => take);
+};
@@ -1,6 +1,7 @@
 import fs from "fs";
 import path from "path";
 import { logDebug, logStage } from "./debug.js";
+import { isMixFile } from "./mixes.js";
 
 export const collectDrumStems = (jobOutputDir) => {
   const resultJsonPath = path.join(jobOutputDir, "workflow.result.json");
@@ -60,8 +61,11 @@ export const collectDrumStems = (jobOutputDir) => {
     }
   }
 
+  // rendered mixes sit next to the stems but aren't stems themselves
   return potentialDrumFiles.filter((file) => {
     const name = path.basename(file).toLowerCase();
-    return name !== "other.wav" && name !== "combined_drums.wav";
+    return (
+      name !== "other.wav" && name !== "combined_drums.wav" && !isMixFile(name)
+    );
   });
 };
@@ -0,0 +1,26 @@
+// runs worker(item, index) over every item with at most `limit` in flight.
+// resolves in input order with { status, value } or { status, reason } like
+// Promise.allSettled, so one failed song never stops the rest.
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runLane = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = {
+          status: "fulfilled",
+          value: await worker(items[index], index),
+        };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  return results;
+};
@@ -0,0 +1,283 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { voice } from "./ui.js";
+import { logStage } from "./debug.js";
+
+// every setting bata reads, lowest layer first: these defaults, then the user
+// config file, then the env var, then `--set key=value` on the command line.
+// a null default means "work it out", e.g. the library folder sits in the app.
+export const CONFIG_KEYS = {
+  "library.dir": {
+    type: "path",
+    default: null,
+    env: "BATA_LIBRARY_DIR",
+    description: "where downloads, takes and the catalog live",
+  },
+  "library.takesDir": {
+    type: "path",
+    default: null,
+    env: "BATA_TAKES_DIR",
+    description: "processed takes (default <library.dir>/processed_stems)",
+  },
+  "export.dir": {
+    type: "path",
+    default: null,
+    env: "BATA_EXPORT_DIR",
+    description: "export folder, beating the one picked last time",
+  },
+  "search.maxResults": {
+    type: "integer",
+    min: 1,
+    max: 50,
+    default: 5,
+    env: "BATA_MAX_RESULTS",
+    description: "how many youtube results a search asks for",
+  },
+  "batch.jobs": {
+    type: "integer",
+    min: 1,
+    max: 8,
+    default: 2,
+    env: "BATA_BATCH_JOBS",
+    description: "how many songs bata batch works on at once",
+  },
+  "separator.default": {
+    type: "string",
+    // SEPARATOR_NAMES in separation.js; importing it here would be circular,
+    // since the providers read their own settings at load time
+    choices: ["moises", "local"],
+    default: "moises",
+    env: "BATA_SEPARATOR",
+    description: "studio used when none is picked (moises or local)",
+  },
+  "separator.localCommand": {
+    type: "string",
+    default: "",
+    env: "BATA_LOCAL_SEPARATOR",
+    description: "command for the local studio, with {input} and {output}",
+  },
+  "moises.workflow": {
+    type: "string",
+    default: "isolate_drums_bata",
+    env: "BATA_MOISES_WORKFLOW",
+    description: "moises workflow that isolates the drums",
+  },
+  "server.port": {
+    type: "integer",
+    min: 1,
+    max: 65535,
+    default: 4173,
+    env: "BATA_PORT",
+    description: "port bata serve listens on",
+  },
+  "player.seekSeconds": {
+    type: "number",
+    min: 1,
+    max: 60,
+    default: 5,
+    env: "BATA_SEEK_SECONDS",
+    description: "how far ← and → jump in the player",
+  },
+  "player.volumeStep": {
+    type: "number",
+    min: 0.01,
+    max: 1,
+    default: 0.1,
+    env: "BATA_VOLUME_STEP",
+    description: "how much ↑ and ↓ change the volume (1 = 100%)",
+  },
+  "player.maxVolume": {
+    type: "number",
+    min: 1,
+    max: 10,
+    default: 4,
+    env: "BATA_MAX_VOLUME",
+    description: "the loudest the player goes (1 = 100%)",
+  },
+};
+
+export const CONFIG_KEY_NAMES = Object.keys(CONFIG_KEYS);
+
+export const CONFIG_FILE = path.resolve(
+  process.env.BATA_CONFIG ||
+    path.join(
+      process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+      "bata",
+      "config.json"
+    )
+);
+
+const requireKey = (key) => {
+  const spec = CONFIG_KEYS[key];
+  if (!spec) {
+    throw new Error(
+      `unknown setting "${key}". run bata config list to see them all.`
+    );
+  }
+  return spec;
+};
+
+// turns text (or a json value from the file) into the setting's type
+export const parseConfigValue = (key, raw) => {
+  const spec = requireKey(key);
+  const text = String(raw ?? "").trim();
+  if (spec.type === "number" || spec.type === "integer") {
+    const value = Number(text);
+    const valid =
+      text !== "" &&
+      Number.isFinite(value) &&
+      (spec.type === "number" || Number.isInteger(value)) &&
+      value >= spec.min &&
+      value <= spec.max;
+    if (!valid) {
+      const kind = spec.type === "integer" ? "a whole number" : "a number";
+      throw new Error(`${key} takes ${kind} from ${spec.min} to ${spec.max}.`);
+    }
+    return value;
+  }
+  if (spec.type === "path" && !text) {
+    throw new Error(`${key} needs a folder.`);
+  }
+  if (spec.choices) {
+    const choice = text.toLowerCase();
+    if (!spec.choices.includes(choice)) {
+      throw new Error(`${key} takes ${spec.choices.join(" or ")}.`);
+    }
+    return choice;
+  }
+  return text;
+};
+
+const readConfigFile = () => {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return {};
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf-8"));
+    return raw && typeof raw === "object" ? raw : {};
+  } catch (error) {
+    logStage("CONFIG", "unreadable config file", error.message);
+    return {};
+  }
+};
+
+const splitOverride = (value = "") => {
+  const separator = value.indexOf("=");
+  return separator > 0
+    ? [value.slice(0, separator).trim(), value.slice(separator + 1)]
+    : [value.trim(), undefined];
+};
+
+// `--set key=value` can appear anywhere, so it's read straight off argv the
+// way --debug is, before any module sizes itself from the config
+const readCliOverrides = (argv) => {
+  const overrides = {};
+  argv.forEach((arg, index) => {
+    let value = null;
+    if (arg === "--set") {
+      value = argv[index + 1];
+    } else if (arg.startsWith("--set=")) {
+      value = arg.slice("--set=".length);
+    }
+    if (value !== null && value !== undefined) {
+      const [key, raw] = splitOverride(value);
+      overrides[key] = raw ?? "";
+    }
+  });
+  return overrides;
+};
+
+// the command line without the --set pairs, which every command accepts
+export const stripConfigOverrides = (argv) =>
+  argv.filter(
+    (arg, index) =>
+      arg !== "--set" &&
+      !arg.startsWith("--set=") &&
+      argv[index - 1] !== "--set"
+  );
+
+const fileLayer = readConfigFile();
+const cliLayer = readCliOverrides(process.argv.slice(2));
+const warned = new Set();
+
+// why each unusable --set pair can't apply: a name that isn't a setting (so
+// a typo doesn't go unnoticed) or a value the setting won't take
+export const invalidConfigOverrides = () =>
+  Object.entries(cliLayer).flatMap(([key, raw]) => {
+    try {
+      parseConfigValue(key, raw);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  });
+
+// a bad value in the file or env is skipped, so the layer below it still
+// applies. a bad --set is a usage error instead, which index.js reports.
+const tryLayer = (key, layer, raw) => {
+  if (raw === undefined || raw === null) {
+    return undefined;
+  }
+  try {
+    return parseConfigValue(key, raw);
+  } catch (error) {
+    if (layer !== "command line" && !warned.has(`${layer}:${key}`)) {
+      warned.add(`${layer}:${key}`);
+      voice.warn(`ignoring ${key} from the ${layer}: ${error.message}`);
+    }
+    return undefined;
+  }
+};
+
+export const resolveConfig = (key) => {
+  const spec = requireKey(key);
+  const layers = [
+    ["command line", cliLayer[key]],
+    ["environment", spec.env ? process.env[spec.env] : undefined],
+    ["config file", fileLayer[key]],
+  ];
+  for (const [source, raw] of layers) {
+    // an empty env var reads as unset, like it did before the config file
+    if (source === "environment" && raw === "") continue;
+    const value = tryLayer(key, source, raw);
+    if (value !== undefined) {
+      return { key, value, source };
+    }
+  }
+  return { key, value: spec.default, source: "default" };
+};
+
+export const getConfig = (key) => resolveConfig(key).value;
+
+export const listConfig = () =>
+  CONFIG_KEY_NAMES.map((key) => ({
+    ...resolveConfig(key),
+    description: CONFIG_KEYS[key].description,
+    env: CONFIG_KEYS[key].env,
+  }));
+
+const writeConfigFile = (values) => {
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(values, null, 2));
+};
+
+// validates before saving; returns the stored value
+export const setConfigValue = (key, raw) => {
+  const value = parseConfigValue(key, raw);
+  const next = { ...readConfigFile(), [key]: value };
+  writeConfigFile(next);
+  fileLayer[key] = value;
+  logStage("CONFIG", "saved", { key, value });
+  return value;
+};
+
+export const unsetConfigValue = (key) => {
+  requireKey(key);
+  const { [key]: removed, ...rest } = readConfigFile();
+  writeConfigFile(rest);
+  delete fileLayer[key];
+  logStage("CONFIG", "cleared", key);
+  return removed !== undefined;
+};
@@ -1,10 +1,15 @@
 import chalk from "chalk";
 
+import { jsonMode } from "./ui.js";
+
 export const debugMode = process.argv.includes("--debug");
 
+// keeps stdout clean for --json readers
+const print = jsonMode ? console.error : console.log;
+
 export const logDebug = (...args) => {
   if (debugMode) {
-    console.log(chalk.grey(...args));
+    print(chalk.grey(...args));
   }
 };
 
@@ -25,8 +30,8 @@ export const logStage = (label, message, payload) => {
   }
   const prefix = chalk.magenta(`[${label}]`);
   if (payload !== undefined) {
-    console.log(prefix, message, payload);
+    print(prefix, message, payload);
   } else {
-    console.log(prefix, message);
+    print(prefix, message);
   }
 };
@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+import { DOWNLOADS_DIR, ensureDirectory } from "./paths.js";
+import { logStage } from "./debug.js";
+
+const CACHE_FILE = path.join(DOWNLOADS_DIR, "bata.downloads.json");
+
+const readCache = () => {
+  if (!fs.existsSync(CACHE_FILE)) {
+    return {};
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(CACHE_FILE, "utf-8"));
+    return raw.videos && typeof raw.videos === "object" ? raw.videos : {};
+  } catch (error) {
+    logStage("CACHE", "unreadable download cache", error.message);
+    return {};
+  }
+};
+
+const writeCache = (videos) => {
+  ensureDirectory(DOWNLOADS_DIR);
+  const tempFile = `${CACHE_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ videos }, null, 2));
+  fs.renameSync(tempFile, CACHE_FILE);
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+export const forgetDownload = (videoId) => {
+  const videos = readCache();
+  if (videos[videoId]) {
+    delete videos[videoId];
+    writeCache(videos);
+  }
+};
+
+export const findCachedDownload = async (videoId) => {
+  const entry = readCache()[videoId];
+  if (!entry) {
+    return null;
+  }
+
+  const filePath = path.resolve(DOWNLOADS_DIR, entry.file);
+  if (!fs.existsSync(filePath)) {
+    logStage("CACHE", "cached file is gone", filePath);
+    forgetDownload(videoId);
+    return null;
+  }
+  const { size } = fs.statSync(filePath);
+  if (size !== entry.size || (await hashFile(filePath)) !== entry.sha256) {
+    logStage("CACHE", "cached file changed", filePath);
+    forgetDownload(videoId);
+    return null;
+  }
+
+  logStage("CACHE", "hit", { videoId, filePath });
+  return filePath;
+};
+
+export const rememberDownload = async (videoId, filePath, title) => {
+  const { size } = fs.statSync(filePath);
+  const sha256 = await hashFile(filePath);
+  const videos = readCache();
+  videos[videoId] = {
+    file: path.relative(DOWNLOADS_DIR, filePath),
+    size,
+    sha256,
+    title,
+    downloadedAt: new Date().toISOString(),
+  };
+  writeCache(videos);
+  logStage("CACHE", "stored", { videoId, filePath });
+};
+
+// the raw cache entry, with `filePath` resolved, whether or not it's intact
+export const findDownloadEntry = (videoId) => {
+  const entry = readCache()[videoId];
+  return entry
+    ? { ...entry, filePath: path.resolve(DOWNLOADS_DIR, entry.file) }
+    : null;
+};
+
+// puts back an entry taken out with forgetDownload, e.g. on restoring a take
+export const restoreDownloadEntry = (videoId, entry) => {
+  writeCache({ ...readCache(), [videoId]: entry });
+  logStage("CACHE", "restored", { videoId, file: entry.file });
+};
@@ -0,0 +1,206 @@
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+
+import { DOWNLOADS_DIR, ROOT_DIR, ensureDirectory } from "./paths.js";
+import { readPreferences, updatePreferences } from "./preferences.js";
+import { logStage, trimForLog, debugMode } from "./debug.js";
+import { getConfig } from "./config.js";
+
+export const EXPORT_FORMATS = {
+  mp3: {
+    label: "mp3",
+    codec: "libmp3lame",
+    bitrates: [128, 192, 256, 320],
+    defaultBitrate: 192,
+  },
+  ogg: {
+    label: "ogg vorbis",
+    codec: "libvorbis",
+    bitrates: [128, 192, 256, 320],
+    defaultBitrate: 192,
+  },
+  flac: { label: "flac (lossless)", codec: "flac", bitrates: null },
+  wav: { label: "wav (lossless)", codec: "pcm_s16le", bitrates: null },
+};
+
+export const EXPORT_FORMAT_NAMES = Object.keys(EXPORT_FORMATS);
+export const MIN_TARGET_LUFS = -40;
+export const MAX_TARGET_LUFS = -5;
+
+const DEFAULT_EXPORT_SETTINGS = {
+  folder: path.join(DOWNLOADS_DIR, "exports"),
+  format: "mp3",
+  bitrate: 192,
+  lufs: -14,
+};
+
+// the one place the export folder is decided: a configured export.dir, else
+// the folder picked last time (--out or the prompt), else downloads/exports.
+// --out and the prompt still win for the run they're given in.
+export const readExportSettings = () => {
+  const saved = readPreferences().export ?? {};
+  const format = EXPORT_FORMATS[saved.format] ? saved.format : "mp3";
+  return {
+    ...DEFAULT_EXPORT_SETTINGS,
+    ...saved,
+    format,
+    folder: path.resolve(
+      ROOT_DIR,
+      getConfig("export.dir") || saved.folder || DEFAULT_EXPORT_SETTINGS.folder
+    ),
+  };
+};
+
+export const saveExportSettings = (settings) =>
+  updatePreferences("export", settings);
+
+export const parseExportFormat = (value = "") => {
+  const format = value.trim().toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(
+      `"${value}" isn't a format i can export. try ${EXPORT_FORMAT_NAMES.join(
+        ", "
+      )}.`
+    );
+  }
+  return format;
+};
+
+export const parseBitrate = (format, value) => {
+  const { bitrates } = EXPORT_FORMATS[format];
+  const bitrate = Number(String(value).trim().replace(/k$/i, ""));
+  if (!bitrates) {
+    throw new Error(`${format} is lossless, so it has no bitrate.`);
+  }
+  if (!bitrates.includes(bitrate)) {
+    throw new Error(`pick a bitrate of ${bitrates.join(", ")} kbps.`);
+  }
+  return bitrate;
+};
+
+export const parseTargetLufs = (value) => {
+  const lufs = Number(String(value).trim().replace(/\s*lufs$/i, ""));
+  const inRange =
+    Number.isFinite(lufs) && lufs >= MIN_TARGET_LUFS && lufs <= MAX_TARGET_LUFS;
+  if (!inRange) {
+    throw new Error(
+      `loudness is in LUFS between ${MIN_TARGET_LUFS} and ${MAX_TARGET_LUFS}, ` +
+        "like -14."
+    );
+  }
+  return lufs;
+};
+
+const toSafeFileName = (value) =>
+  value
+    .replace(/[\u0000-\u001F\\/?*:|"<>]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .substring(0, 120);
+
+export const buildExportFileName = (take, format, mix = null) =>
+  `${toSafeFileName(
+    mix ? `${take.title} (${mix.name})` : take.title
+  )}.${format}`;
+
+// takes can share a display title, so an export never replaces another file;
+// it gets a (2) the way archived takes do
+const freeExportPath = (folder, fileName) => {
+  const extension = path.extname(fileName);
+  const base = path.basename(fileName, extension);
+  let candidate = path.join(folder, fileName);
+  for (let copy = 2; fs.existsSync(candidate); copy += 1) {
+    candidate = path.join(folder, `${base} (${copy})${extension}`);
+  }
+  return candidate;
+};
+
+// id3 wants its four-letter frame for tempo; vorbis comments take plain names
+export const buildExportTags = (take, format) => {
+  const tags = { title: take.title };
+  const source = take.source?.url ?? take.source?.originalTitle;
+  if (source) {
+    tags.comment = `source: ${source}`;
+  }
+  if (take.tempo?.bpm) {
+    tags[format === "mp3" ? "TBPM" : "bpm"] = String(
+      Math.round(take.tempo.bpm)
+    );
+  }
+  if (take.notes?.length) {
+    tags.matches = take.notes.join(", ");
+  }
+  return tags;
+};
+
+export const exportAudio = (inputPath, outputPath, options) =>
+  new Promise((resolve, reject) => {
+    const { format, bitrate, lufs, tags = {} } = options;
+    const { codec, bitrates } = EXPORT_FORMATS[format];
+    const args = [
+      "-v",
+      "error",
+      "-i",
+      inputPath,
+      // single-pass loudnorm; it resamples internally, so pin the output rate
+      "-af",
+      `loudnorm=I=${lufs}:TP=-1.5:LRA=11`,
+      "-ar",
+      "44100",
+      "-c:a",
+      codec,
+      ...(bitrates ? ["-b:a", `${bitrate}k`] : []),
+      ...Object.entries(tags).flatMap(([key, value]) => [
+        "-metadata",
+        `${key}=${value}`,
+      ]),
+      "-n",
+      outputPath,
+    ];
+    logStage("EXPORT", "ffmpeg", trimForLog(args.join(" ")));
+
+    execFile("ffmpeg", args, (error, stdout, stderr) => {
+      if (debugMode && stderr) {
+        process.stderr.write(stderr);
+      }
+      if (!error) {
+        resolve(outputPath);
+        return;
+      }
+      if (error.code === "ENOENT") {
+        reject(new Error("ffmpeg is missing. install it and try again."));
+        return;
+      }
+      logStage("EXPORT-ERROR", "ffmpeg failed", trimForLog(stderr));
+      reject(
+        new Error(
+          `ffmpeg couldn't export ${path.basename(
+            outputPath
+          )}. run with --debug for the raw output.`
+        )
+      );
+    });
+  });
+
+// exports the take's main file, or one of its saved mixes
+export const exportTake = async (take, options) => {
+  const { format, bitrate, lufs, folder, mix = null } = options;
+  const inputPath = mix
+    ? path.join(take.folderPath, mix.file)
+    : take.primaryFile;
+  if (!inputPath) {
+    throw new Error("that take has no drums to export yet.");
+  }
+  ensureDirectory(folder);
+  const outputPath = freeExportPath(
+    folder,
+    buildExportFileName(take, format, mix)
+  );
+  return exportAudio(inputPath, outputPath, {
+    format,
+    bitrate,
+    lufs,
+    tags: buildExportTags(take, format),
+  });
+};
@@ -0,0 +1,56 @@
+const WORD_BREAK = /[\s\-_()[\].,/·]/;
+
+// scores how well `needle` matches `haystack` as an in-order subsequence.
+// null means no match; higher is better, substrings always beat scatter.
+export const fuzzyScore = (needle = "", haystack = "") => {
+  const query = needle.toLowerCase();
+  const text = haystack.toLowerCase();
+  if (!query) {
+    return 0;
+  }
+
+  const substringAt = text.indexOf(query);
+  if (substringAt !== -1) {
+    const atWordStart =
+      substringAt === 0 || WORD_BREAK.test(text[substringAt - 1]);
+    return 100 + query.length * 4 + (atWordStart ? 20 : 0) - substringAt / 10;
+  }
+
+  let score = 0;
+  let cursor = 0;
+  let previous = -2;
+  let streak = 0;
+  for (const char of query) {
+    const found = text.indexOf(char, cursor);
+    if (found === -1) {
+      return null;
+    }
+    streak = found === previous + 1 ? streak + 1 : 0;
+    const atWordStart = found === 0 || WORD_BREAK.test(text[found - 1]);
+    score += 1 + streak * 2 + (atWordStart ? 3 : 0);
+    score -= Math.min(found - cursor, 10) * 0.2;
+    previous = found;
+    cursor = found + 1;
+  }
+  return score;
+};
+
+// every word of the query has to land somewhere in the fields
+export const fuzzyMatchFields = (query = "", fields = []) => {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return 0;
+  }
+  let total = 0;
+  for (const word of words) {
+    const scores = fields
+      .filter(Boolean)
+      .map((field) => fuzzyScore(word, field))
+      .filter((score) => score !== null);
+    if (!scores.length) {
+      return null;
+    }
+    total += Math.max(...scores);
+  }
+  return total;
+};
@@ -0,0 +1,70 @@
+import fs from "fs";
+import path from "path";
+
+import { DOWNLOADS_DIR, ensureDirectory } from "./paths.js";
+import { logStage } from "./debug.js";
+
+const JOURNAL_FILE = path.join(DOWNLOADS_DIR, "bata.jobs.json");
+
+const readJournal = () => {
+  if (!fs.existsSync(JOURNAL_FILE)) {
+    return [];
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(JOURNAL_FILE, "utf-8"));
+    return Array.isArray(raw.jobs) ? raw.jobs : [];
+  } catch (error) {
+    logStage("JOURNAL", "unreadable journal", error.message);
+    return [];
+  }
+};
+
+const writeJournal = (jobs) => {
+  ensureDirectory(DOWNLOADS_DIR);
+  const tempFile = `${JOURNAL_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ jobs }, null, 2));
+  fs.renameSync(tempFile, JOURNAL_FILE);
+};
+
+export const listPendingJobs = () => readJournal();
+
+export const recordPendingJob = (entry) => {
+  const now = new Date().toISOString();
+  const jobs = readJournal().filter((job) => job.jobId !== entry.jobId);
+  const next = { createdAt: now, ...entry, updatedAt: now };
+  writeJournal([...jobs, next]);
+  logStage("JOURNAL", "recorded", { jobId: entry.jobId, phase: entry.phase });
+  return next;
+};
+
+export const updatePendingJob = (jobId, changes) => {
+  const jobs = readJournal();
+  const index = jobs.findIndex((job) => job.jobId === jobId);
+  if (index === -1) {
+    return null;
+  }
+  jobs[index] = {
+    ...jobs[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  writeJournal(jobs);
+  logStage("JOURNAL", "updated", { jobId, ...changes });
+  return jobs[index];
+};
+
+export const removePendingJob = (jobId) => {
+  const jobs = readJournal();
+  const remaining = jobs.filter((job) => job.jobId !== jobId);
+  if (remaining.length !== jobs.length) {
+    writeJournal(remaining);
+    logStage("JOURNAL", "removed", jobId);
+  }
+};
+
+export const clearPendingJobs = () => {
+  if (fs.existsSync(JOURNAL_FILE)) {
+    writeJournal([]);
+    logStage("JOURNAL", "cleared");
+  }
+};
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+import { probeAudioFile } from "./audio.js";
+import { logStage } from "./debug.js";
+
+export const LOCAL_AUDIO_EXTENSIONS = [".mp3", ".wav", ".flac", ".m4a"];
+
+const isSupportedAudio = (filePath) =>
+  LOCAL_AUDIO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+export const resolveLocalPath = (value = "") => {
+  const trimmed = String(value)
+    .trim()
+    .replace(/^(['"])(.*)\1$/, "$2");
+  if (trimmed === "~" || trimmed.startsWith("~/")) {
+    return path.join(os.homedir(), trimmed.slice(1));
+  }
+  return path.resolve(trimmed);
+};
+
+export const collectLocalAudioFiles = (inputPath) => {
+  const resolved = resolveLocalPath(inputPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`can't find ${resolved}.`);
+  }
+
+  const stats = fs.statSync(resolved);
+  if (stats.isFile()) {
+    if (!isSupportedAudio(resolved)) {
+      throw new Error(
+        `${path.basename(resolved)} isn't ${LOCAL_AUDIO_EXTENSIONS.join(
+          "/"
+        )}.`
+      );
+    }
+    return [resolved];
+  }
+
+  const files = fs
+    .readdirSync(resolved, { withFileTypes: true })
+    .filter((dirent) => dirent.isFile() && isSupportedAudio(dirent.name))
+    .map((dirent) => path.join(resolved, dirent.name))
+    .sort((a, b) => a.localeCompare(b));
+  logStage("IMPORT", "folder scan", { folder: resolved, count: files.length });
+  return files;
+};
+
+export const validateLocalAudio = async (filePath) => {
+  const probe = await probeAudioFile(filePath);
+  if (!probe.durationSeconds) {
+    throw new Error(`${path.basename(filePath)} has no readable length.`);
+  }
+  return probe;
+};
+
+export const describeLocalSource = (filePath, probe) => ({
+  type: "local",
+  path: filePath,
+  originalTitle: path.parse(filePath).name,
+  fileName: path.basename(filePath),
+  format: probe?.formatName ?? null,
+  durationSeconds: probe?.durationSeconds ?? null,
+});
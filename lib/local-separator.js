@@ -0,0 +1,135 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { randomUUID } from "crypto";
+
+import { logStage, logDebug, trimForLog } from "./debug.js";
+import { getConfig } from "./config.js";
+
+// e.g. BATA_LOCAL_SEPARATOR='demucs --two-stems=drums -o {output} {input}'
+const getCommandTemplate = () => getConfig("separator.localCommand");
+
+const runningJobs = new Map();
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+const buildCommand = (template, inputPath, outputDir) =>
+  template
+    .replace(/\{input\}/g, shellQuote(inputPath))
+    .replace(/\{output\}/g, shellQuote(outputDir));
+
+const findWavFiles = (dirPath) =>
+  fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((dirent) => {
+    const fullPath = path.join(dirPath, dirent.name);
+    if (dirent.isDirectory()) {
+      return findWavFiles(fullPath);
+    }
+    return dirent.name.toLowerCase().endsWith(".wav") ? [fullPath] : [];
+  });
+
+const isDrumStem = (filePath) => {
+  const name = path.basename(filePath).toLowerCase();
+  return name.includes("drum") && !/no[_-]?drum/.test(name);
+};
+
+const runSeparator = (command, workDir) =>
+  new Promise((resolve, reject) => {
+    logStage("LOCAL-SEPARATOR", "command", command);
+    const stderrChunks = [];
+    const child = spawn(command, { shell: true, cwd: workDir });
+
+    child.stdout?.on("data", (data) => logDebug(data.toString()));
+    child.stderr?.on("data", (data) => {
+      stderrChunks.push(data.toString());
+      logDebug(data.toString());
+    });
+
+    child.on("error", (error) => {
+      logStage("LOCAL-SEPARATOR", "spawn error", error.message);
+      reject(new Error("couldn't start the local separator command."));
+    });
+
+    child.on("close", (code) => {
+      logStage("LOCAL-SEPARATOR", `exited with ${code}`);
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      logStage(
+        "LOCAL-SEPARATOR",
+        "stderr",
+        trimForLog(stderrChunks.join("").trim())
+      );
+      reject(
+        new Error(
+          `the local separator exited with code ${code}. run with --debug for details.`
+        )
+      );
+    });
+  });
+
+export const localProvider = {
+  name: "local",
+  label: "local separator",
+  get workflow() {
+    return getCommandTemplate().split(/\s+/)[0] || "local";
+  },
+  resumable: false,
+  isConfigured: () => Boolean(getCommandTemplate()),
+  prepare: () => {
+    if (!getCommandTemplate()) {
+      throw new Error(
+        "set separator.localCommand (bata config set) or BATA_LOCAL_SEPARATOR " +
+          "to use the local separator."
+      );
+    }
+  },
+  upload: async (filePath) => filePath,
+  submit: async (inputPath) => {
+    const jobId = randomUUID();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "bata-separate-"));
+    const command = buildCommand(getCommandTemplate(), inputPath, workDir);
+    const run = runSeparator(command, workDir).then(
+      () => ({ id: jobId, status: "SUCCEEDED", workDir }),
+      (error) => ({ id: jobId, status: "FAILED", workDir, error })
+    );
+    runningJobs.set(jobId, run);
+    return jobId;
+  },
+  wait: async (jobId) => {
+    const run = runningJobs.get(jobId);
+    if (!run) {
+      throw new Error("that local separation isn't running anymore.");
+    }
+    const job = await run;
+    runningJobs.delete(jobId);
+    if (job.error) {
+      fs.rmSync(job.workDir, { recursive: true, force: true });
+      throw job.error;
+    }
+    return job;
+  },
+  download: async (job, outputDir) => {
+    const wavFiles = findWavFiles(job.workDir);
+    const drumFiles = wavFiles.filter(isDrumStem);
+    const selected = drumFiles.length ? drumFiles : wavFiles;
+    logStage("LOCAL-SEPARATOR", "stems", selected);
+
+    const result = {};
+    selected.forEach((filePath, index) => {
+      const fileName =
+        selected.length === 1
+          ? "drums.wav"
+          : `drums_${index + 1}_${path.basename(filePath)}`;
+      fs.copyFileSync(filePath, path.join(outputDir, fileName));
+      result[selected.length === 1 ? "drums" : `drums_${index + 1}`] =
+        fileName;
+    });
+    fs.writeFileSync(
+      path.join(outputDir, "workflow.result.json"),
+      JSON.stringify(result, null, 2)
+    );
+    fs.rmSync(job.workDir, { recursive: true, force: true });
+  },
+};
@@ -0,0 +1,122 @@
+import path from "path";
+
+export const MIX_FILE_PREFIX = "mix_";
+export const MIN_GAIN_DB = -24;
+export const MAX_GAIN_DB = 12;
+
+export const isMixFile = (fileName) =>
+  path.basename(fileName).toLowerCase().startsWith(MIX_FILE_PREFIX);
+
+export const toMixSlug = (name = "") =>
+  name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+export const mixFileName = (name) =>
+  `${MIX_FILE_PREFIX}${toMixSlug(name)}.wav`;
+
+export const defaultChannel = (stemFile) => ({
+  stem: path.basename(stemFile),
+  gainDb: 0,
+  pan: 0,
+  mute: false,
+  solo: false,
+});
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const normalizeChannel = (channel) => ({
+  stem: String(channel.stem),
+  gainDb: clamp(Number(channel.gainDb) || 0, MIN_GAIN_DB, MAX_GAIN_DB),
+  pan: clamp(Number(channel.pan) || 0, -1, 1),
+  mute: Boolean(channel.mute),
+  solo: Boolean(channel.solo),
+});
+
+// lines saved settings up with the stems on disk: stems that vanished are
+// dropped and new ones come in at unity
+export const channelsForStems = (stemFiles, savedChannels = []) =>
+  stemFiles.map((stemFile) => {
+    const saved = savedChannels.find(
+      (channel) => channel.stem === path.basename(stemFile)
+    );
+    return saved ? normalizeChannel(saved) : defaultChannel(stemFile);
+  });
+
+// solo wins over mute, like on a desk
+export const audibleChannels = (channels) => {
+  const soloed = channels.filter((channel) => channel.solo);
+  return soloed.length
+    ? soloed
+    : channels.filter((channel) => !channel.mute);
+};
+
+export const formatGain = (gainDb) =>
+  gainDb === 0 ? "0 dB" : `${gainDb > 0 ? "+" : ""}${gainDb} dB`;
+
+export const formatPan = (pan) => {
+  if (pan === 0) return "C";
+  const amount = Math.round(Math.abs(pan) * 100);
+  return `${pan < 0 ? "L" : "R"}${amount}`;
+};
+
+export const parseGain = (value) => {
+  const trimmed = String(value).trim().replace(/\s*db$/i, "");
+  const gainDb = Number(trimmed);
+  if (!trimmed || !Number.isFinite(gainDb)) {
+    throw new Error("gain is a number of dB, like -3 or 2.5.");
+  }
+  if (gainDb < MIN_GAIN_DB || gainDb > MAX_GAIN_DB) {
+    throw new Error(`keep gain between ${MIN_GAIN_DB} and +${MAX_GAIN_DB} dB.`);
+  }
+  return gainDb;
+};
+
+// "L30", "R100", "C", or a plain number from -100 (left) to 100 (right)
+export const parsePan = (value) => {
+  const trimmed = String(value).trim().toUpperCase();
+  if (trimmed === "C" || trimmed === "0") {
+    return 0;
+  }
+  const match = trimmed.match(/^([LR])?\s*(-?\d+)$/);
+  if (!match) {
+    throw new Error("pan is L0–L100, C or R0–R100.");
+  }
+  const amount = Number(match[2]);
+  const signed = match[1] === "L" ? -amount : amount;
+  if (Math.abs(signed) > 100 || (match[1] && amount < 0)) {
+    throw new Error("pan is L0–L100, C or R0–R100.");
+  }
+  return signed / 100;
+};
+
+// constant-power pan, scaled so a centered stem keeps its level
+const panGains = (pan) => {
+  const angle = ((pan + 1) * Math.PI) / 4;
+  return [Math.SQRT2 * Math.cos(angle), Math.SQRT2 * Math.sin(angle)];
+};
+
+// builds an ffmpeg filter graph for the audible channels, in input order
+export const buildMixFilter = (channels) => {
+  const chains = channels.map((channel, index) => {
+    const [left, right] = panGains(channel.pan);
+    return (
+      `[${index}:a]aformat=channel_layouts=stereo,` +
+      `volume=${channel.gainDb}dB,` +
+      `pan=stereo|c0=${left.toFixed(4)}*c0|c1=${right.toFixed(4)}*c1` +
+      `[s${index}]`
+    );
+  });
+  const inputs = channels.map((_, index) => `[s${index}]`).join("");
+  // amix divides by the input count, and its normalize switch is too new to
+  // rely on, so scale back up to keep each stem at the level it was set to
+  return [
+    ...chains,
+    `${inputs}amix=inputs=${channels.length}:duration=longest,` +
+      `volume=${channels.length}[mix]`,
+  ].join(";");
+};
@@ -0,0 +1,57 @@
+import Moises from "moises/sdk.js";
+
+import { voice } from "./ui.js";
+import { logStage, logDebug } from "./debug.js";
+import { getConfig } from "./config.js";
+
+const MOISES_WORKFLOW_DRUMS = getConfig("moises.workflow");
+
+let moisesClient = null;
+
+const ensureMoisesClient = () => {
+  if (!process.env.MOISES_API_KEY) {
+    voice.error("missing MOISES_API_KEY in your .env file.");
+    throw new Error("MOISES_API_KEY missing");
+  }
+
+  if (!moisesClient) {
+    moisesClient = new Moises({ apiKey: process.env.MOISES_API_KEY });
+  }
+  return moisesClient;
+};
+
+export const moisesProvider = {
+  name: "moises",
+  label: "moises studio",
+  workflow: MOISES_WORKFLOW_DRUMS,
+  resumable: true,
+  isConfigured: () => Boolean(process.env.MOISES_API_KEY),
+  prepare: () => {
+    ensureMoisesClient();
+  },
+  upload: async (filePath) => {
+    logStage("MOISES", "uploading file", filePath);
+    const downloadUrl = await ensureMoisesClient().uploadFile(filePath);
+    logDebug(`Temporary URL: ${downloadUrl}`);
+    return downloadUrl;
+  },
+  submit: async (inputUrl, jobName) => {
+    logStage("MOISES", "creating job", jobName);
+    const jobId = await ensureMoisesClient().addJob(
+      jobName,
+      MOISES_WORKFLOW_DRUMS,
+      { inputUrl }
+    );
+    logStage("MOISES", "job", jobId);
+    return jobId;
+  },
+  wait: async (jobId) => {
+    const job = await ensureMoisesClient().waitForJobCompletion(jobId);
+    logStage("MOISES", "job status", job.status);
+    return job;
+  },
+  download: async (job, outputDir) => {
+    await ensureMoisesClient().downloadJobResults(job, outputDir);
+    logStage("MOISES", "results saved", outputDir);
+  },
+};
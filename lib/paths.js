@@ -2,11 +2,25 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { getConfig } from "./config.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const ROOT_DIR = path.resolve(path.dirname(__filename), "..");
 
-const DOWNLOADS_DIR = path.join(ROOT_DIR, "downloads");
-const PROCESSED_DIR = path.join(DOWNLOADS_DIR, "processed_stems");
+// relative library folders are read from the app folder, like export.dir
+const resolveLibraryDir = (key, fallback) => {
+  const configured = getConfig(key);
+  return configured ? path.resolve(ROOT_DIR, configured) : fallback;
+};
+
+const DOWNLOADS_DIR = resolveLibraryDir(
+  "library.dir",
+  path.join(ROOT_DIR, "downloads")
+);
+const PROCESSED_DIR = resolveLibraryDir(
+  "library.takesDir",
+  path.join(DOWNLOADS_DIR, "processed_stems")
+);
 
 export { ROOT_DIR, DOWNLOADS_DIR, PROCESSED_DIR };
 
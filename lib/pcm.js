@@ -0,0 +1,56 @@
+import { spawn } from "child_process";
+import path from "path";
+
+import { logStage, trimForLog } from "./debug.js";
+
+// decodes to mono 32-bit float samples; `maxSeconds` caps how much is read
+export const decodeMonoPcm = (filePath, options = {}) =>
+  new Promise((resolve, reject) => {
+    const { sampleRate, maxSeconds = null } = options;
+    const args = [
+      "-v",
+      "error",
+      "-i",
+      filePath,
+      ...(maxSeconds ? ["-t", String(maxSeconds)] : []),
+      "-ac",
+      "1",
+      "-ar",
+      String(sampleRate),
+      "-f",
+      "f32le",
+      "-",
+    ];
+    const chunks = [];
+    let stderr = "";
+    const child = spawn("ffmpeg", args);
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => {
+      if (error.code !== "ENOENT") {
+        reject(error);
+        return;
+      }
+      const missing = new Error(
+        "ffmpeg is missing. install it and try again."
+      );
+      missing.code = "ENOENT";
+      reject(missing);
+    });
+    child.on("close", (code) => {
+      if (code !== 0) {
+        logStage("PCM", "decode failed", trimForLog(stderr));
+        reject(new Error(`couldn't decode ${path.basename(filePath)}.`));
+        return;
+      }
+      const buffer = Buffer.concat(chunks);
+      const usable = buffer.length - (buffer.length % 4);
+      resolve(
+        new Float32Array(
+          buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + usable)
+        )
+      );
+    });
+  });
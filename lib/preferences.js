@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+
+import { DOWNLOADS_DIR, ensureDirectory } from "./paths.js";
+import { CONFIG_FILE } from "./config.js";
+import { logStage } from "./debug.js";
+
+// sorts, filters and player habits are personal, so they sit beside the
+// user's config file rather than in a library a team may share
+const PREFERENCES_FILE = path.join(path.dirname(CONFIG_FILE), "prefs.json");
+// where they lived before; read until the first save moves them over
+const LEGACY_PREFERENCES_FILE = path.join(DOWNLOADS_DIR, "bata.prefs.json");
+
+export const readPreferences = () => {
+  const filePath = [PREFERENCES_FILE, LEGACY_PREFERENCES_FILE].find(
+    (candidate) => fs.existsSync(candidate)
+  );
+  if (!filePath) {
+    return {};
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return raw && typeof raw === "object" ? raw : {};
+  } catch (error) {
+    logStage("PREFS", "unreadable preferences", error.message);
+    return {};
+  }
+};
+
+export const updatePreferences = (section, changes) => {
+  const current = readPreferences();
+  const next = {
+    ...current,
+    [section]: { ...(current[section] ?? {}), ...changes },
+  };
+  ensureDirectory(path.dirname(PREFERENCES_FILE));
+  fs.writeFileSync(PREFERENCES_FILE, JSON.stringify(next, null, 2));
+  logStage("PREFS", "saved", { section, changes });
+  return next[section];
+};
@@ -0,0 +1,149 @@
+import path from "path";
+
+import { PROCESSED_DIR, ensureDirectory } from "./paths.js";
+import { collectDrumStems } from "./catalog.js";
+import { logStage, trimForLog } from "./debug.js";
+import { getConfig } from "./config.js";
+import { moisesProvider } from "./moises.js";
+import { localProvider } from "./local-separator.js";
+import {
+  recordPendingJob,
+  removePendingJob,
+  updatePendingJob,
+} from "./job-journal.js";
+
+// every provider: prepare(), upload(file), submit(input, jobName),
+// wait(jobId) -> { status }, download(job, outputDir). download must leave
+// a workflow.result.json plus wav files so collectDrumStems can read it.
+// resumable providers can wait() on a jobId from an earlier process.
+const PROVIDERS = [moisesProvider, localProvider];
+
+export const SEPARATOR_NAMES = PROVIDERS.map((provider) => provider.name);
+
+export const listSeparators = () =>
+  PROVIDERS.map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+  }));
+
+export const getSeparator = (name) => {
+  const wanted = (name || getConfig("separator.default"))
+    .trim()
+    .toLowerCase();
+  const provider = PROVIDERS.find((candidate) => candidate.name === wanted);
+  if (!provider) {
+    throw new Error(
+      `unknown separator "${wanted}". try ${SEPARATOR_NAMES.join(" or ")}.`
+    );
+  }
+  return provider;
+};
+
+export const describeProcessing = (studioResult) => ({
+  separator: studioResult.separator,
+  jobId: studioResult.jobId,
+  workflow: studioResult.workflow,
+  processedAt: new Date().toISOString(),
+  stems: studioResult.drumWavFiles.map((file) => path.basename(file)),
+});
+
+export const MAX_JOB_NAME_LENGTH = 120;
+
+// a leading dot would hide the take, since dot folders hold the archive
+export const toSafeJobName = (jobName) =>
+  jobName
+    .replace(/[\u0000-\u001F\\/?*:|"<>]/g, "_")
+    .replace(/^\./, "_")
+    .substring(0, MAX_JOB_NAME_LENGTH);
+
+const finishSeparation = async (provider, jobId, jobOutputDir, onPhase) => {
+  onPhase?.("ai is isolating drums…");
+  const job = await provider.wait(jobId);
+
+  if (job.status !== "SUCCEEDED") {
+    removePendingJob(jobId);
+    throw new Error(
+      `${provider.name} job ended with status ${String(
+        job.status
+      ).toLowerCase()}`
+    );
+  }
+
+  onPhase?.("downloading stems…");
+  updatePendingJob(jobId, { phase: "downloading" });
+  ensureDirectory(jobOutputDir);
+  await provider.download(job, jobOutputDir);
+  removePendingJob(jobId);
+
+  const drumWavFiles = collectDrumStems(jobOutputDir);
+  logStage("SEPARATE", "drum stems", drumWavFiles);
+
+  return {
+    jobId,
+    jobOutputDir,
+    drumWavFiles,
+    separator: provider.name,
+    workflow: provider.workflow,
+  };
+};
+
+export const separateDrums = async (filePath, jobName, options = {}) => {
+  const provider = getSeparator(options.separator);
+  const { onPhase, source } = options;
+  const safeJobName = toSafeJobName(jobName);
+  const jobOutputDir = path.join(PROCESSED_DIR, safeJobName);
+  logStage("SEPARATE", "provider", provider.name);
+
+  try {
+    provider.prepare();
+
+    onPhase?.("sending to the studio…");
+    const input = await provider.upload(filePath);
+
+    onPhase?.("setting up the session…");
+    const jobId = await provider.submit(input, safeJobName);
+
+    if (provider.resumable) {
+      recordPendingJob({
+        jobId,
+        jobName: safeJobName,
+        separator: provider.name,
+        workflow: provider.workflow,
+        sourceFile: filePath,
+        source: source ?? null,
+        outputDir: jobOutputDir,
+        phase: "waiting",
+      });
+    }
+
+    return await finishSeparation(provider, jobId, jobOutputDir, onPhase);
+  } catch (error) {
+    logStage("SEPARATE-ERROR", "detail", trimForLog(error?.message || error));
+    throw new Error(
+      error?.message ||
+        `${provider.name} could not finish processing that take.`
+    );
+  }
+};
+
+export const resumeSeparation = async (entry, options = {}) => {
+  const provider = getSeparator(entry.separator);
+  const { onPhase } = options;
+  logStage("SEPARATE", "resuming", { jobId: entry.jobId, phase: entry.phase });
+
+  try {
+    provider.prepare();
+    return await finishSeparation(
+      provider,
+      entry.jobId,
+      entry.outputDir,
+      onPhase
+    );
+  } catch (error) {
+    logStage("SEPARATE-ERROR", "resume", trimForLog(error?.message || error));
+    throw new Error(
+      error?.message || `${provider.name} could not finish that job.`
+    );
+  }
+};
@@ -0,0 +1,320 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { loadTakes, resolveTake } from "./takes.js";
+import { appendTakeNotes } from "./take-metadata.js";
+import { toCatalogRecord } from "./catalog-share.js";
+import { parseMatchInput } from "./note-utils.js";
+import {
+  SORT_OPTIONS,
+  filterTakes,
+  normalizeCatalogView,
+  parseBpmRange,
+  searchTakes,
+  sortTakes,
+} from "./catalog-view.js";
+import { logStage, trimForLog } from "./debug.js";
+
+const PAGE_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "web",
+  "index.html"
+);
+
+// a phone fires a burst of range requests per song, so the catalog is reused
+// for a moment instead of checking every folder again on each one
+const TAKES_TTL_MS = 5000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const AUDIO_TYPES = {
+  ".wav": "audio/wav",
+  ".mp3": "audio/mpeg",
+  ".flac": "audio/flac",
+  ".ogg": "audio/ogg",
+  ".m4a": "audio/mp4",
+  ".aac": "audio/aac",
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  response.end(JSON.stringify(body));
+};
+
+const audioUrl = (take, file) =>
+  `/api/takes/${encodeURIComponent(take.id)}/audio` +
+  (file ? `?stem=${encodeURIComponent(path.basename(file))}` : "");
+
+// the shared catalog record, plus what a browser needs to play it
+export const toTakeResource = (take) => ({
+  ...toCatalogRecord(take),
+  notes: (take.noteEntries ?? []).map((note) => ({
+    text: note.text,
+    createdAt: note.createdAt,
+  })),
+  audioUrl: take.primaryFile ? audioUrl(take) : null,
+  stems: take.drumFiles.map((file) => ({
+    name: path.basename(file, path.extname(file)),
+    url: audioUrl(take, file),
+  })),
+  loop: take.loop ?? null,
+  markers: take.markers ?? [],
+});
+
+// ?q=, ?matches=1, ?tempo=90-110 and ?sort= mirror the catalog's own filters
+export const queryTakes = (takes, params) => {
+  let tempo;
+  try {
+    tempo = parseBpmRange(params.get("tempo") ?? "");
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  const view = normalizeCatalogView({
+    sort: params.get("sort"),
+    filters: {
+      hasMatches: ["1", "true"].includes(params.get("matches")),
+      ...tempo,
+    },
+  });
+  return searchTakes(
+    sortTakes(filterTakes(takes, view.filters), view.sort),
+    params.get("q") ?? ""
+  );
+};
+
+// bytes=0-99, bytes=100- and bytes=-100; null when the header is unusable
+export const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  return start <= end && start < size ? { start, end } : null;
+};
+
+const streamAudio = (request, response, filePath) => {
+  const { size } = fs.statSync(filePath);
+  const headers = {
+    "Content-Type":
+      AUDIO_TYPES[path.extname(filePath).toLowerCase()] ??
+      "application/octet-stream",
+    "Accept-Ranges": "bytes",
+  };
+  let range = { start: 0, end: size - 1 };
+  let status = 200;
+  if (request.headers.range) {
+    range = parseRange(request.headers.range, size);
+    if (!range) {
+      response.writeHead(416, { "Content-Range": `bytes */${size}` });
+      response.end();
+      return;
+    }
+    status = 206;
+    headers["Content-Range"] = `bytes ${range.start}-${range.end}/${size}`;
+  }
+  headers["Content-Length"] = range.end - range.start + 1;
+  response.writeHead(status, headers);
+  if (request.method === "HEAD") {
+    response.end();
+    return;
+  }
+  const stream = fs.createReadStream(filePath, range);
+  stream.on("error", (error) => {
+    logStage("SERVE", "stream failed", error.message);
+    response.destroy(error);
+  });
+  stream.pipe(response);
+};
+
+const readJsonBody = (request) =>
+  new Promise((resolve, reject) => {
+    // a json content type keeps other sites' plain form posts out
+    const contentType = request.headers["content-type"] ?? "";
+    if (!/^application\/json\b/i.test(contentType)) {
+      reject(httpError(415, "send the note as json."));
+      return;
+    }
+    let body = "";
+    request.setEncoding("utf-8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, "that note is too long."));
+        request.destroy();
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch {
+        reject(httpError(400, "that isn't valid json."));
+      }
+    });
+    request.on("error", reject);
+  });
+
+const pickAudioFile = (take, stem) => {
+  if (!stem) {
+    return take.primaryFile ?? take.drumFiles[0] ?? null;
+  }
+  return take.drumFiles.find((file) => path.basename(file) === stem) ?? null;
+};
+
+export const createCatalogServer = () => {
+  let cached = null;
+  const getTakes = async () => {
+    if (!cached || Date.now() - cached.loadedAt > TAKES_TTL_MS) {
+      cached = { loadedAt: Date.now(), takes: await loadTakes() };
+    }
+    return cached.takes;
+  };
+  const requireTake = async (takeId) => {
+    const take = resolveTake(await getTakes(), takeId);
+    if (!take) {
+      throw httpError(404, `no take matches "${takeId}".`);
+    }
+    return take;
+  };
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/$/,
+      handle: (request, response) => {
+        response.writeHead(200, {
+          "Content-Type": "text/html; charset=utf-8",
+        });
+        response.end(fs.readFileSync(PAGE_PATH));
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/takes$/,
+      handle: async (request, response, url) => {
+        const takes = queryTakes(await getTakes(), url.searchParams);
+        sendJson(response, 200, {
+          takes: takes.map(toTakeResource),
+          sorts: SORT_OPTIONS,
+        });
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/takes\/([^/]+)$/,
+      handle: async (request, response, url, [takeId]) => {
+        sendJson(response, 200, toTakeResource(await requireTake(takeId)));
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/takes\/([^/]+)\/audio$/,
+      handle: async (request, response, url, [takeId]) => {
+        const take = await requireTake(takeId);
+        const filePath = pickAudioFile(take, url.searchParams.get("stem"));
+        if (!filePath || !fs.existsSync(filePath)) {
+          throw httpError(404, `${take.title} has no audio like that.`);
+        }
+        streamAudio(request, response, filePath);
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/takes\/([^/]+)\/notes$/,
+      handle: async (request, response, url, [takeId]) => {
+        const take = await requireTake(takeId);
+        const body = await readJsonBody(request);
+        const matches = parseMatchInput(
+          Array.isArray(body.notes) ? body.notes.join(", ") : body.text ?? ""
+        );
+        if (!matches.length) {
+          throw httpError(400, "tell me what it matches.");
+        }
+        logStage("SERVE", "add-note", { take: take.id, matches });
+        await appendTakeNotes(take.folderPath, matches);
+        cached = null;
+        sendJson(response, 201, toTakeResource(await requireTake(take.id)));
+      },
+    },
+  ];
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://bata.local");
+    const method = request.method === "HEAD" ? "GET" : request.method;
+    logStage("SERVE", request.method, trimForLog(url.pathname));
+    try {
+      const matching = routes.filter((route) =>
+        route.pattern.test(url.pathname)
+      );
+      const route = matching.find((candidate) => candidate.method === method);
+      if (!route) {
+        throw matching.length
+          ? httpError(405, `${request.method} isn't supported there.`)
+          : httpError(404, "nothing here.");
+      }
+      let params;
+      try {
+        params = route.pattern
+          .exec(url.pathname)
+          .slice(1)
+          .map(decodeURIComponent);
+      } catch {
+        throw httpError(400, "that address is garbled.");
+      }
+      await route.handle(request, response, url, params);
+    } catch (error) {
+      const status = error.status ?? 500;
+      logStage("SERVE", `failed (${status})`, error.message);
+      if (response.headersSent) {
+        response.destroy();
+        return;
+      }
+      sendJson(response, status, {
+        error: status === 500 ? "something went wrong." : error.message,
+      });
+    }
+  });
+};
+
+// the addresses phones on the same network can reach
+export const listLanAddresses = () =>
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((entry) => entry && entry.family === "IPv4" && !entry.internal)
+    .map((entry) => entry.address);
+
+// resolves with the running server once it's listening
+export const startCatalogServer = ({ port, host }) =>
+  new Promise((resolve, reject) => {
+    const server = createCatalogServer();
+    server.once("error", (error) => {
+      reject(
+        error.code === "EADDRINUSE"
+          ? new Error(`port ${port} is taken. try --port or server.port.`)
+          : error
+      );
+    });
+    server.listen(port, host, () => {
+      logStage("SERVE", "listening", { host, port });
+      resolve(server);
+    });
+  });
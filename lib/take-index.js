@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+
+import { PROCESSED_DIR } from "./paths.js";
+import { logStage } from "./debug.js";
+
+// a cache of what's slow to work out per take: its stems, its length (an
+// ffprobe each) and its metadata. deleting the file only costs a rescan.
+const INDEX_VERSION = 1;
+const INDEX_FILE = path.join(PROCESSED_DIR, ".bata-index.json");
+
+export const statSignature = (filePath) => {
+  try {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    return { size, mtimeMs };
+  } catch {
+    return null;
+  }
+};
+
+export const sameSignature = (a, b) =>
+  a === b || Boolean(a && b && a.size === b.size && a.mtimeMs === b.mtimeMs);
+
+export const readTakeIndex = () => {
+  if (!fs.existsSync(INDEX_FILE)) {
+    return {};
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(INDEX_FILE, "utf-8"));
+    return raw?.version === INDEX_VERSION && raw.takes ? raw.takes : {};
+  } catch (error) {
+    logStage("INDEX", "unreadable index, rebuilding", error.message);
+    return {};
+  }
+};
+
+// changes map folder names to entries (null drops one). the file is re-read
+// right before writing so a note saved mid-scan isn't lost, and `keep`, when
+// given, prunes every folder that's gone.
+export const writeTakeIndex = (changes = {}, keep = null) => {
+  if (!fs.existsSync(PROCESSED_DIR)) {
+    return;
+  }
+  const takes = { ...readTakeIndex(), ...changes };
+  Object.keys(takes).forEach((name) => {
+    if (!takes[name] || (keep && !keep.includes(name))) {
+      delete takes[name];
+    }
+  });
+  // renamed into place so a reader never sees half a file
+  const tempFile = `${INDEX_FILE}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(
+      tempFile,
+      JSON.stringify({ version: INDEX_VERSION, takes })
+    );
+    fs.renameSync(tempFile, INDEX_FILE);
+    logStage("INDEX", "saved", Object.keys(changes).length);
+  } catch (error) {
+    logStage("INDEX", "couldn't save the index", error.message);
+    fs.rmSync(tempFile, { force: true });
+  }
+};
+
+const indexedName = (folderPath) =>
+  path.dirname(path.resolve(folderPath)) === path.resolve(PROCESSED_DIR)
+    ? path.basename(folderPath)
+    : null;
+
+// swaps in freshly written metadata so a note or a play doesn't cost a
+// rescan. the folder's mtime only moves on when nothing else had changed it
+// first, so new stems landing alongside are still picked up.
+export const recordIndexedMetadata = (folderPath, update) => {
+  const name = indexedName(folderPath);
+  const entry = name ? readTakeIndex()[name] : null;
+  if (!entry) {
+    return;
+  }
+  const folderMtimeMs =
+    entry.folderMtimeMs === update.folderMtimeBefore
+      ? statSignature(folderPath)?.mtimeMs ?? null
+      : entry.folderMtimeMs;
+  writeTakeIndex({
+    [name]: {
+      ...entry,
+      folderMtimeMs,
+      meta: update.meta,
+      metadata: update.metadata,
+      metadataVersion: update.metadataVersion,
+    },
+  });
+};
+
+// entries only hold file names, so a renamed folder keeps its entry
+export const moveIndexedTake = (fromPath, toPath) => {
+  const fromName = indexedName(fromPath);
+  const toName = indexedName(toPath);
+  const entry = fromName ? readTakeIndex()[fromName] : null;
+  if (!entry || !toName) {
+    return;
+  }
+  writeTakeIndex({ [fromName]: null, [toName]: entry });
+};
@@ -1,50 +1,218 @@
 import fs from "fs";
 import path from "path";
 
+import { normalizeChannel } from "./mixes.js";
+import { recordIndexedMetadata, statSignature } from "./take-index.js";
+
 const METADATA_FILE = "bata.meta.json";
-const DEFAULT_DATA = {
-  notes: [],
-  lastPlayedAt: null,
-  lastNotedAt: null,
-};
+export const METADATA_SCHEMA_VERSION = 3;
+
+// each step upgrades a file written at version `from` to `from + 1`.
+// files from before the schema was versioned count as version 1.
+const MIGRATIONS = [
+  {
+    from: 1,
+    migrate: ({ source, ...raw }) => {
+      const { title, ...rest } = source ?? {};
+      return {
+        ...raw,
+        source: source ? { ...rest, originalTitle: title ?? null } : null,
+        processing: null,
+      };
+    },
+  },
+  {
+    // notes were bare strings; the best guess for when they were added is
+    // the last time anything was noted
+    from: 2,
+    migrate: ({ notes, ...raw }) => ({
+      ...raw,
+      notes: Array.isArray(notes)
+        ? notes.map((text) => ({
+            text,
+            createdAt: raw.lastNotedAt ?? null,
+            editedAt: null,
+          }))
+        : [],
+    }),
+  },
+];
 
-const getMetadataPath = (folderPath) =>
+export const getMetadataPath = (folderPath) =>
   path.join(folderPath, METADATA_FILE);
 
-const normalizeNotes = (notes) =>
-  Array.isArray(notes)
-    ? notes
-        .map((value) => (typeof value === "string" ? value.trim() : ""))
-        .filter(Boolean)
+const normalizeNoteText = (value) =>
+  typeof value === "string" ? value.trim() : "";
+
+// keeps the first copy of a note when two end up with the same text
+const normalizeNotes = (notes) => {
+  if (!Array.isArray(notes)) {
+    return [];
+  }
+  const seen = new Set();
+  return notes
+    .map((note) => (typeof note === "string" ? { text: note } : note))
+    .map((note) => ({
+      text: normalizeNoteText(note?.text),
+      createdAt: note?.createdAt ?? null,
+      editedAt: note?.editedAt ?? null,
+    }))
+    .filter(({ text }) => {
+      if (!text || seen.has(text)) return false;
+      seen.add(text);
+      return true;
+    });
+};
+
+const latestNoteTimestamp = (notes) =>
+  notes
+    .flatMap((note) => [note.createdAt, note.editedAt])
+    .filter(Boolean)
+    .sort()
+    .at(-1) ?? null;
+
+const normalizeSource = (source) =>
+  source && typeof source === "object" && typeof source.type === "string"
+    ? {
+        type: source.type,
+        videoId: source.videoId ?? null,
+        url: source.url ?? null,
+        originalTitle: source.originalTitle ?? null,
+        query: source.query ?? null,
+        durationSeconds: source.durationSeconds ?? null,
+        path: source.path ?? null,
+        fileName: source.fileName ?? null,
+        format: source.format ?? null,
+      }
+    : null;
+
+const normalizeProcessing = (processing) =>
+  processing && typeof processing === "object"
+    ? {
+        separator: processing.separator ?? null,
+        jobId: processing.jobId ?? null,
+        workflow: processing.workflow ?? null,
+        processedAt: processing.processedAt ?? null,
+        stems: Array.isArray(processing.stems)
+          ? processing.stems.filter((stem) => typeof stem === "string")
+          : [],
+      }
+    : null;
+
+const normalizeLoop = (loop) => {
+  const start = Number(loop?.start);
+  const end = Number(loop?.end);
+  return loop && Number.isFinite(start) && Number.isFinite(end) && end > start
+    ? { start: Math.max(start, 0), end }
+    : null;
+};
+
+const normalizeMarkers = (markers) =>
+  Array.isArray(markers)
+    ? markers
+        .filter((marker) => Number.isFinite(marker) && marker >= 0)
+        .sort((a, b) => a - b)
     : [];
 
-const normalizeMetadata = (raw = {}) => ({
-  notes: normalizeNotes(raw.notes),
-  lastPlayedAt: raw.lastPlayedAt ?? null,
-  lastNotedAt: raw.lastNotedAt ?? null,
-});
+// a detected tempo belongs to the file it was read from; a manual one (typed
+// in with bata play --bpm) belongs to the take
+const normalizeTempo = (tempo) =>
+  tempo &&
+  typeof tempo === "object" &&
+  (typeof tempo.file === "string" || tempo.manual === true)
+    ? {
+        bpm: typeof tempo.bpm === "number" ? tempo.bpm : null,
+        confidence:
+          typeof tempo.confidence === "number" ? tempo.confidence : 0,
+        meter: tempo.meter ?? null,
+        file: typeof tempo.file === "string" ? tempo.file : null,
+        fileSize: typeof tempo.fileSize === "number" ? tempo.fileSize : null,
+        analyzedAt: tempo.analyzedAt ?? null,
+        manual: tempo.manual === true,
+      }
+    : null;
+
+const normalizeMixes = (mixes) =>
+  Array.isArray(mixes)
+    ? mixes
+        .filter(
+          (mix) =>
+            mix &&
+            typeof mix.name === "string" &&
+            typeof mix.file === "string" &&
+            Array.isArray(mix.channels)
+        )
+        .map((mix) => ({
+          name: mix.name,
+          file: mix.file,
+          channels: mix.channels
+            .filter((channel) => typeof channel?.stem === "string")
+            .map(normalizeChannel),
+          renderedAt: mix.renderedAt ?? null,
+        }))
+    : [];
+
+const normalizeTitle = (title) =>
+  typeof title === "string" && title.trim() ? title.trim() : null;
+
+const normalizeMetadata = (raw = {}) => {
+  const notes = normalizeNotes(raw.notes);
+  return {
+    title: normalizeTitle(raw.title),
+    notes,
+    lastPlayedAt: raw.lastPlayedAt ?? null,
+    playCount: Number.isInteger(raw.playCount) ? raw.playCount : 0,
+    // notes without timestamps predate them, so fall back to what was stored
+    lastNotedAt: notes.length
+      ? latestNoteTimestamp(notes) ?? raw.lastNotedAt ?? null
+      : null,
+    loop: normalizeLoop(raw.loop),
+    markers: normalizeMarkers(raw.markers),
+    tempo: normalizeTempo(raw.tempo),
+    clickOffset: Number.isFinite(raw.clickOffset) ? raw.clickOffset : null,
+    mixes: normalizeMixes(raw.mixes),
+    source: normalizeSource(raw.source),
+    processing: normalizeProcessing(raw.processing),
+  };
+};
+
+const migrateMetadata = (raw) => {
+  let version = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 1;
+  let data = raw;
+  MIGRATIONS.forEach((step) => {
+    if (step.from === version) {
+      data = step.migrate(data);
+      version += 1;
+    }
+  });
+  return data;
+};
 
 export const readTakeMetadata = (folderPath) => {
   const filePath = getMetadataPath(folderPath);
   if (!fs.existsSync(filePath)) {
-    return { ...DEFAULT_DATA };
+    return normalizeMetadata();
   }
   try {
     const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
-    return normalizeMetadata(raw);
+    return normalizeMetadata(migrateMetadata(raw));
   } catch {
-    return { ...DEFAULT_DATA };
+    return normalizeMetadata();
   }
 };
 
 const writeTakeMetadata = (folderPath, data) => {
   const filePath = getMetadataPath(folderPath);
-  const payload = {
-    notes: normalizeNotes(data.notes),
-    lastPlayedAt: data.lastPlayedAt ?? null,
-    lastNotedAt: data.lastNotedAt ?? null,
-  };
+  const metadata = normalizeMetadata(data);
+  const payload = { schemaVersion: METADATA_SCHEMA_VERSION, ...metadata };
+  const folderMtimeBefore = statSignature(folderPath)?.mtimeMs ?? null;
   fs.writeFileSync(filePath, JSON.stringify(payload, null, 2));
+  recordIndexedMetadata(folderPath, {
+    metadata,
+    metadataVersion: METADATA_SCHEMA_VERSION,
+    meta: statSignature(filePath),
+    folderMtimeBefore,
+  });
 };
 
 const updateTakeMetadata = (folderPath, updater) => {
@@ -58,18 +226,127 @@ const updateTakeMetadata = (folderPath, updater) => {
 };
 
 export const appendTakeNotes = async (folderPath, notes = []) => {
-  const normalized = normalizeNotes(notes);
-  if (!normalized.length) {
+  const texts = notes.map(normalizeNoteText).filter(Boolean);
+  if (!texts.length) {
     return readTakeMetadata(folderPath);
   }
   const timestamp = new Date().toISOString();
   return updateTakeMetadata(folderPath, (current) => ({
-    notes: Array.from(new Set([...current.notes, ...normalized])),
-    lastNotedAt: timestamp,
+    notes: [
+      ...current.notes,
+      ...texts.map((text) => ({
+        text,
+        createdAt: timestamp,
+        editedAt: null,
+      })),
+    ],
   }));
 };
 
-export const recordTakePlayback = async (folderPath) =>
-  updateTakeMetadata(folderPath, () => ({
+const assertNoteIndex = (notes, index) => {
+  if (!Number.isInteger(index) || index < 0 || index >= notes.length) {
+    throw new Error(`there's no match note #${index + 1} on that take.`);
+  }
+};
+
+export const editTakeNote = async (folderPath, index, text) => {
+  const nextText = normalizeNoteText(text);
+  if (!nextText) {
+    throw new Error("a match note can't be empty.");
+  }
+  return updateTakeMetadata(folderPath, (current) => {
+    assertNoteIndex(current.notes, index);
+    // normalizeNotes keeps one copy of a repeated note, so the write would
+    // quietly drop the other one
+    const duplicate = current.notes.some(
+      (note, position) => position !== index && note.text === nextText
+    );
+    if (duplicate) {
+      throw new Error("that match is already noted on this take.");
+    }
+    return {
+      notes: current.notes.map((note, position) =>
+        position === index && note.text !== nextText
+          ? { ...note, text: nextText, editedAt: new Date().toISOString() }
+          : note
+      ),
+    };
+  });
+};
+
+export const removeTakeNote = async (folderPath, index) =>
+  updateTakeMetadata(folderPath, (current) => {
+    assertNoteIndex(current.notes, index);
+    return {
+      notes: current.notes.filter((_, position) => position !== index),
+    };
+  });
+
+export const moveTakeNote = async (folderPath, index, targetIndex) =>
+  updateTakeMetadata(folderPath, (current) => {
+    assertNoteIndex(current.notes, index);
+    assertNoteIndex(current.notes, targetIndex);
+    const notes = [...current.notes];
+    const [moved] = notes.splice(index, 1);
+    notes.splice(targetIndex, 0, moved);
+    return { notes };
+  });
+
+// the player only reports a loop, markers or click offset when it knows them,
+// so a missing `loop` leaves the remembered one alone while null clears it
+const playerStateFrom = (playback) => ({
+  ...(playback.loop !== undefined ? { loop: playback.loop } : {}),
+  ...(playback.markers !== undefined ? { markers: playback.markers } : {}),
+  ...(playback.clickOffset !== undefined
+    ? { clickOffset: playback.clickOffset }
+    : {}),
+});
+
+export const recordTakePlayback = async (folderPath, playback = {}) =>
+  updateTakeMetadata(folderPath, (current) => ({
     lastPlayedAt: new Date().toISOString(),
+    playCount: current.playCount + 1,
+    ...playerStateFrom(playback),
+  }));
+
+// keeps the loop, markers and click offset set while the take played,
+// without counting it as played
+export const recordPlayerState = async (folderPath, playback = {}) =>
+  updateTakeMetadata(folderPath, () => playerStateFrom(playback));
+
+// a suggested title only fills a gap; it never replaces one picked by hand
+export const recordTakeProvenance = async (folderPath, provenance) =>
+  updateTakeMetadata(folderPath, (current) => ({
+    source: provenance.source,
+    processing: provenance.processing,
+    ...(provenance.title && !current.title ? { title: provenance.title } : {}),
+  }));
+
+// imports only add: notes are appended with their timestamps, and a title or
+// source only lands on a take that has none yet
+export const mergeImportedMetadata = async (folderPath, incoming) =>
+  updateTakeMetadata(folderPath, (current) => ({
+    notes: [...current.notes, ...(incoming.notes ?? [])],
+    ...(incoming.title && !current.title ? { title: incoming.title } : {}),
+    ...(incoming.source && !current.source ? { source: incoming.source } : {}),
+  }));
+
+// null drops the display title, so the folder name shows again
+export const recordTakeTitle = async (folderPath, title) =>
+  updateTakeMetadata(folderPath, () => ({ title: normalizeTitle(title) }));
+
+// detection never replaces a tempo set by hand; only another manual tempo or
+// null (back to detecting) does
+export const recordTakeTempo = async (folderPath, tempo) =>
+  updateTakeMetadata(folderPath, (current) =>
+    current.tempo?.manual && tempo && !tempo.manual ? {} : { tempo }
+  );
+
+// saving a mix under an existing name replaces it
+export const recordTakeMix = async (folderPath, mix) =>
+  updateTakeMetadata(folderPath, (current) => ({
+    mixes: [
+      ...current.mixes.filter((existing) => existing.file !== mix.file),
+      mix,
+    ],
   }));
@@ -3,56 +3,262 @@ import path from "path";
 import { PROCESSED_DIR } from "./paths.js";
 import { collectDrumStems } from "./catalog.js";
 import { getAudioDuration } from "./audio.js";
-import { tidyTitle } from "./ui.js";
-import { readTakeMetadata } from "./take-metadata.js";
+import {
+  METADATA_SCHEMA_VERSION,
+  getMetadataPath,
+  readTakeMetadata,
+  recordTakeTitle,
+} from "./take-metadata.js";
+import {
+  moveIndexedTake,
+  readTakeIndex,
+  sameSignature,
+  statSignature,
+  writeTakeIndex,
+} from "./take-index.js";
+import { runWithConcurrency } from "./concurrency.js";
+import { logStage } from "./debug.js";
+import { titleFromFolder } from "./titles.js";
+import { toSafeJobName } from "./separation.js";
+import { listPendingJobs } from "./job-journal.js";
 
+// what the console player needs to pick up where this take left off
+export const takePlaybackOptions = (take) => ({
+  loop: take.loop,
+  markers: take.markers,
+  tempo: take.tempo,
+  clickOffset: take.clickOffset ?? 0,
+});
+
+// dot folders (the archive, mostly) are never takes
+const isTakeFolder = (dirent) =>
+  dirent.isDirectory() && !dirent.name.startsWith(".");
+
+// ffprobe is spawned per new take, so a freshly synced library of hundreds
+// doesn't start hundreds at once
+const PROBE_CONCURRENCY = 4;
+
+// stems and length only move when files land in the folder, the blend is
+// redone or the studio result changes
+const structureSignature = (folderPath, primaryFile) => ({
+  folderMtimeMs: statSignature(folderPath)?.mtimeMs ?? null,
+  primary: primaryFile ? statSignature(primaryFile) : null,
+  workflow: statSignature(path.join(folderPath, "workflow.result.json")),
+});
+
+const isStructureCurrent = (entry, folderPath) => {
+  if (!entry) {
+    return false;
+  }
+  const primaryFile = entry.primaryFile
+    ? path.join(folderPath, entry.primaryFile)
+    : null;
+  const current = structureSignature(folderPath, primaryFile);
+  // a length ffprobe couldn't read is kept too, so a bad file is only probed
+  // (and warned about) again once it changes
+  return (
+    entry.folderMtimeMs === current.folderMtimeMs &&
+    sameSignature(entry.primary, current.primary) &&
+    sameSignature(entry.workflow, current.workflow)
+  );
+};
+
+const scanStructure = async (folderPath) => {
+  const drumFiles = collectDrumStems(folderPath);
+  const hasCombined = fs.existsSync(
+    path.join(folderPath, "combined_drums.wav")
+  );
+  const primaryFile = hasCombined
+    ? path.join(folderPath, "combined_drums.wav")
+    : drumFiles[0] ?? null;
+  const durationSeconds = primaryFile
+    ? await getAudioDuration(primaryFile)
+    : null;
+  return {
+    ...structureSignature(folderPath, primaryFile),
+    drumFiles: drumFiles.map((file) => path.basename(file)),
+    combined: hasCombined,
+    primaryFile: primaryFile ? path.basename(primaryFile) : null,
+    durationSeconds,
+  };
+};
+
+const scanMetadata = (folderPath, entry) => {
+  const meta = statSignature(getMetadataPath(folderPath));
+  if (
+    entry?.metadataVersion === METADATA_SCHEMA_VERSION &&
+    sameSignature(entry.meta, meta)
+  ) {
+    return null;
+  }
+  return {
+    meta,
+    metadata: readTakeMetadata(folderPath),
+    metadataVersion: METADATA_SCHEMA_VERSION,
+  };
+};
+
+const toTake = (name, folderPath, entry) => {
+  const { metadata } = entry;
+  const inFolder = (file) => (file ? path.join(folderPath, file) : null);
+  const combinedPath = entry.combined
+    ? inFolder("combined_drums.wav")
+    : null;
+  const updatedAt = new Date(entry.folderMtimeMs ?? 0);
+  const processedAt = Date.parse(metadata.processing?.processedAt ?? "");
+  return {
+    id: name,
+    title: metadata.title ?? titleFromFolder(name),
+    folderTitle: titleFromFolder(name),
+    folderPath,
+    updatedAt,
+    // the folder's mtime moves with every mix, stem or note, so it only
+    // stands in for takes from before the processing time was recorded
+    addedAt: Number.isNaN(processedAt) ? updatedAt : new Date(processedAt),
+    drumFiles: entry.drumFiles.map(inFolder),
+    combinedPath,
+    primaryFile: inFolder(entry.primaryFile),
+    durationSeconds: entry.durationSeconds,
+    notes: metadata.notes.map((note) => note.text),
+    noteEntries: metadata.notes,
+    loop: metadata.loop,
+    markers: metadata.markers,
+    tempo: metadata.tempo,
+    clickOffset: metadata.clickOffset,
+    mixes: metadata.mixes,
+    source: metadata.source,
+    processing: metadata.processing,
+    lastPlayedAt: metadata.lastPlayedAt
+      ? new Date(metadata.lastPlayedAt)
+      : null,
+    playCount: metadata.playCount,
+    customTitle: metadata.title,
+    lastNotedAt: metadata.lastNotedAt
+      ? new Date(metadata.lastNotedAt)
+      : null,
+  };
+};
+
+// folders are read through the index in take-index.js; only the ones whose
+// files moved on since the last load are scanned or probed again
 export const loadTakes = async () => {
   if (!fs.existsSync(PROCESSED_DIR)) {
     return [];
   }
 
-  const entries = fs
+  const names = fs
     .readdirSync(PROCESSED_DIR, { withFileTypes: true })
-    .filter((dirent) => dirent.isDirectory());
+    .filter(isTakeFolder)
+    .map((dirent) => dirent.name);
+  const index = readTakeIndex();
+  const changes = {};
 
-  const takes = await Promise.all(
-    entries.map(async (dirent) => {
-      const folderPath = path.join(PROCESSED_DIR, dirent.name);
-      const stats = fs.statSync(folderPath);
-      const drumFiles = collectDrumStems(folderPath);
-      const combinedPath = path.join(folderPath, "combined_drums.wav");
-      const hasCombined = fs.existsSync(combinedPath);
-      const primaryFile = hasCombined
-        ? combinedPath
-        : drumFiles[0] ?? null;
-      const durationSeconds = primaryFile
-        ? await getAudioDuration(primaryFile)
-        : null;
-      const metadata = readTakeMetadata(folderPath);
-
-      return {
-        id: dirent.name,
-        title: tidyTitle(dirent.name.replace(/_/g, " ")),
-        folderPath,
-        updatedAt: stats.mtime,
-        drumFiles,
-        combinedPath: hasCombined ? combinedPath : null,
-        primaryFile,
-        durationSeconds,
-        notes: metadata.notes,
-        lastPlayedAt: metadata.lastPlayedAt
-          ? new Date(metadata.lastPlayedAt)
-          : null,
-        lastNotedAt: metadata.lastNotedAt
-          ? new Date(metadata.lastNotedAt)
-          : null,
-      };
-    })
+  const results = await runWithConcurrency(
+    names,
+    PROBE_CONCURRENCY,
+    async (name) => {
+      const folderPath = path.join(PROCESSED_DIR, name);
+      const cached = index[name];
+      let entry = isStructureCurrent(cached, folderPath)
+        ? cached
+        : { ...cached, ...(await scanStructure(folderPath)) };
+      const metadataUpdate = scanMetadata(folderPath, entry);
+      if (metadataUpdate) {
+        entry = { ...entry, ...metadataUpdate };
+      }
+      if (entry !== cached) {
+        changes[name] = entry;
+      }
+      return toTake(name, folderPath, entry);
+    }
   );
 
-  return takes
+  const pruned = Object.keys(index).some((name) => !names.includes(name));
+  if (Object.keys(changes).length || pruned) {
+    logStage("INDEX", "rescanned", Object.keys(changes));
+    writeTakeIndex(changes, names);
+  }
+
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      logStage("INDEX", "couldn't load a take", result.reason?.message)
+    );
+  return results
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value)
     .filter((take) => take.primaryFile || take.drumFiles.length)
     .sort(
-      (a, b) => b.updatedAt.getTime() - a.updatedAt.getTime()
+      (a, b) => b.addedAt.getTime() - a.addedAt.getTime()
     );
 };
+
+export const resolveTake = (takes, query = "") => {
+  const needle = String(query).trim();
+  if (!needle) {
+    return null;
+  }
+  const exact = takes.find((take) => take.id === needle);
+  if (exact) {
+    return exact;
+  }
+  const lowered = needle.toLowerCase();
+  const caseInsensitive = takes.find(
+    (take) => take.id.toLowerCase() === lowered
+  );
+  if (caseInsensitive) {
+    return caseInsensitive;
+  }
+  const prefixed = takes.filter((take) =>
+    take.id.toLowerCase().startsWith(lowered)
+  );
+  return prefixed.length === 1 ? prefixed[0] : null;
+};
+
+export const findTakesByVideoId = (videoId) => {
+  if (!videoId || !fs.existsSync(PROCESSED_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(PROCESSED_DIR, { withFileTypes: true })
+    .filter(isTakeFolder)
+    .map((dirent) => {
+      const folderPath = path.join(PROCESSED_DIR, dirent.name);
+      return { dirent, folderPath, metadata: readTakeMetadata(folderPath) };
+    })
+    .filter(({ metadata }) => metadata.source?.videoId === videoId)
+    .map(({ dirent, folderPath, metadata }) => ({
+      id: dirent.name,
+      title: metadata.title ?? titleFromFolder(dirent.name),
+      folderPath,
+    }));
+};
+
+// sets the display title and, with `renameFolder`, moves the folder to match.
+// resolves with the take's folder path, which changes along with the folder.
+export const renameTake = async (take, title, options = {}) => {
+  const { renameFolder = false } = options;
+  let { folderPath } = take;
+  if (renameFolder) {
+    const folderName = toSafeJobName(title.trim());
+    const target = path.join(PROCESSED_DIR, folderName);
+    if (target !== folderPath) {
+      if (fs.existsSync(target)) {
+        throw new Error(`there's already a take called ${folderName}.`);
+      }
+      // a resumed job would write its stems back into the old folder
+      if (listPendingJobs().some((job) => job.outputDir === folderPath)) {
+        throw new Error("that take still has a studio job pending.");
+      }
+      fs.renameSync(folderPath, target);
+      moveIndexedTake(folderPath, target);
+      folderPath = target;
+    }
+  }
+  // a title the folder name already spells out doesn't need storing
+  await recordTakeTitle(
+    folderPath,
+    title.trim() === titleFromFolder(path.basename(folderPath)) ? null : title
+  );
+  return folderPath;
+};
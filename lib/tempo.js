@@ -0,0 +1,266 @@
+import fs from "fs";
+import path from "path";
+
+import { recordTakeTempo } from "./take-metadata.js";
+import { decodeMonoPcm } from "./pcm.js";
+import { logStage } from "./debug.js";
+
+const ANALYSIS_SAMPLE_RATE = 11025;
+// two minutes is plenty to lock onto a groove and keeps the buffer small
+const MAX_ANALYSIS_SECONDS = 120;
+const FRAME_SIZE = 512;
+const HOP_SIZE = 128;
+const FRAME_RATE = ANALYSIS_SAMPLE_RATE / HOP_SIZE;
+const MIN_BPM = 50;
+const MAX_BPM = 220;
+// most grooves sit near 120, which settles half/double tempo ties
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_WIDTH_OCTAVES = 1;
+
+// how sharply the loudness rises frame to frame; drum hits are the peaks
+const onsetEnvelope = (samples) => {
+  const frameCount = Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1;
+  if (frameCount < 2) {
+    return new Float64Array(0);
+  }
+  const levels = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    let energy = 0;
+    const offset = frame * HOP_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i += 1) {
+      energy += samples[offset + i] ** 2;
+    }
+    levels[frame] = Math.sqrt(energy / FRAME_SIZE);
+  }
+
+  const onsets = new Float64Array(frameCount);
+  for (let frame = 1; frame < frameCount; frame += 1) {
+    onsets[frame] = Math.max(levels[frame] - levels[frame - 1], 0);
+  }
+
+  // subtract a half-second moving average so loud passages don't dominate
+  const radius = Math.round(FRAME_RATE / 4);
+  const flattened = new Float64Array(frameCount);
+  let windowSum = 0;
+  let windowStart = 0;
+  let windowEnd = 0;
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    while (windowEnd < Math.min(frame + radius + 1, frameCount)) {
+      windowSum += onsets[windowEnd];
+      windowEnd += 1;
+    }
+    while (windowStart < frame - radius) {
+      windowSum -= onsets[windowStart];
+      windowStart += 1;
+    }
+    const mean = windowSum / (windowEnd - windowStart);
+    flattened[frame] = Math.max(onsets[frame] - mean, 0);
+  }
+  return flattened;
+};
+
+const autocorrelate = (envelope, lag) => {
+  let sum = 0;
+  for (let i = 0; i + lag < envelope.length; i += 1) {
+    sum += envelope[i] * envelope[i + lag];
+  }
+  return sum / (envelope.length - lag);
+};
+
+const tempoPrior = (bpm) =>
+  Math.exp(
+    -0.5 * (Math.log2(bpm / PRIOR_CENTER_BPM) / PRIOR_WIDTH_OCTAVES) ** 2
+  );
+
+// strongest correlation within a couple of frames of `lag`
+const peakNear = (correlations, lag) => {
+  const center = Math.round(lag);
+  let best = 0;
+  for (let offset = -2; offset <= 2; offset += 1) {
+    best = Math.max(best, correlations(center + offset));
+  }
+  return best;
+};
+
+// accents landing every third beat point to 3/4, otherwise call it 4/4
+const estimateMeter = (correlations, beatLag) => {
+  const everyThird = peakNear(correlations, beatLag * 3);
+  const everyFourth = peakNear(correlations, beatLag * 4);
+  return everyThird > everyFourth * 1.1 ? "3/4" : "4/4";
+};
+
+export const estimateTempo = (samples) => {
+  const envelope = onsetEnvelope(samples);
+  const minLag = Math.floor((60 * FRAME_RATE) / MAX_BPM);
+  const maxLag = Math.ceil((60 * FRAME_RATE) / MIN_BPM);
+  // the meter check looks four beats out, so keep enough room for that
+  if (envelope.length < maxLag * 4) {
+    return { bpm: null, confidence: 0, meter: null };
+  }
+
+  const cache = new Map();
+  const correlations = (lag) => {
+    if (lag <= 0 || lag >= envelope.length) return 0;
+    if (!cache.has(lag)) {
+      cache.set(lag, autocorrelate(envelope, lag));
+    }
+    return cache.get(lag);
+  };
+
+  const energy = autocorrelate(envelope, 0);
+  if (energy === 0) {
+    return { bpm: null, confidence: 0, meter: null };
+  }
+
+  let bestLag = null;
+  let bestScore = 0;
+  let total = 0;
+  for (let lag = minLag; lag <= maxLag; lag += 1) {
+    const value = correlations(lag);
+    total += value;
+    const score = value * tempoPrior((60 * FRAME_RATE) / lag);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag === null) {
+    return { bpm: null, confidence: 0, meter: null };
+  }
+
+  // a parabola through the neighbours lands between whole frames
+  const before = correlations(bestLag - 1);
+  const peak = correlations(bestLag);
+  const after = correlations(bestLag + 1);
+  const curvature = before - 2 * peak + after;
+  const refinedLag =
+    curvature < 0 ? bestLag + (0.5 * (before - after)) / curvature : bestLag;
+
+  const mean = total / (maxLag - minLag + 1);
+  const confidence =
+    energy > mean
+      ? Math.min(Math.max((peak - mean) / (energy - mean), 0), 1)
+      : 0;
+
+  return {
+    bpm: Math.round(((60 * FRAME_RATE) / refinedLag) * 10) / 10,
+    confidence: Math.round(confidence * 100) / 100,
+    meter: estimateMeter(correlations, refinedLag),
+  };
+};
+
+export const analyzeTempo = async (filePath) => {
+  const samples = await decodeMonoPcm(filePath, {
+    sampleRate: ANALYSIS_SAMPLE_RATE,
+    maxSeconds: MAX_ANALYSIS_SECONDS,
+  });
+  const estimate = estimateTempo(samples);
+  logStage("TEMPO", path.basename(filePath), estimate);
+  return {
+    ...estimate,
+    file: path.basename(filePath),
+    fileSize: fs.statSync(filePath).size,
+    analyzedAt: new Date().toISOString(),
+  };
+};
+
+const fileSizeOf = (filePath) => {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return null;
+  }
+};
+
+export const needsTempoAnalysis = (take) =>
+  Boolean(take.primaryFile) &&
+  !take.tempo?.manual &&
+  (take.tempo?.file !== path.basename(take.primaryFile) ||
+    take.tempo?.fileSize !== fileSizeOf(take.primaryFile));
+
+// analyzes takes without a cached tempo (or whose primary file changed) and
+// returns the list with fresh results filled in. a missing ffmpeg stops the
+// pass early since every other take would fail the same way.
+export const ensureTakeTempos = async (takes, options = {}) => {
+  const { onProgress } = options;
+  const pending = takes.filter(needsTempoAnalysis);
+  const results = new Map();
+  for (const [index, take] of pending.entries()) {
+    onProgress?.(take, index, pending.length);
+    try {
+      const tempo = await analyzeTempo(take.primaryFile);
+      await recordTakeTempo(take.folderPath, tempo);
+      results.set(take.id, tempo);
+    } catch (error) {
+      logStage("TEMPO", "analysis failed", {
+        take: take.id,
+        error: error.message,
+      });
+      if (error.code === "ENOENT") {
+        throw error;
+      }
+      // cached like a result so a file ffmpeg can't read isn't decoded on
+      // every load; a new or changed file gets another go
+      const failed = {
+        bpm: null,
+        confidence: 0,
+        meter: null,
+        file: path.basename(take.primaryFile),
+        fileSize: fileSizeOf(take.primaryFile),
+        analyzedAt: new Date().toISOString(),
+      };
+      try {
+        await recordTakeTempo(take.folderPath, failed);
+        results.set(take.id, failed);
+      } catch {
+        // the next load simply tries again
+      }
+    }
+  }
+  return takes.map((take) =>
+    results.has(take.id) ? { ...take, tempo: results.get(take.id) } : take
+  );
+};
+
+// "96" or "96.5"; "auto" hands the take back to detection (null)
+export const parseManualBpm = (value = "") => {
+  const trimmed = String(value).trim().toLowerCase();
+  if (trimmed === "auto") {
+    return null;
+  }
+  const bpm = Number(trimmed.replace(/\s*bpm$/, ""));
+  if (!trimmed || !Number.isFinite(bpm) || bpm < 20 || bpm > 400) {
+    throw new Error(`"${value}" isn't a tempo. try a bpm like 96, or auto.`);
+  }
+  return Math.round(bpm * 10) / 10;
+};
+
+// a bpm you know beats anything detection guessed, so it's kept until it's
+// set back to auto. a detected meter stays, since only the bpm is typed in.
+export const setManualTempo = async (take, bpm) => {
+  const tempo =
+    bpm === null
+      ? null
+      : {
+          bpm,
+          confidence: 1,
+          meter: take.tempo?.meter ?? null,
+          file: null,
+          fileSize: null,
+          analyzedAt: new Date().toISOString(),
+          manual: true,
+        };
+  await recordTakeTempo(take.folderPath, tempo);
+  logStage("TEMPO", "set by hand", { take: take.id, bpm });
+  return tempo;
+};
+
+export const formatTempo = (tempo) => {
+  if (!tempo?.bpm) {
+    return null;
+  }
+  // low confidence estimates are often off by half or double
+  const guess = tempo.confidence < 0.2 ? "~" : "";
+  const meter = tempo.meter ? ` ${tempo.meter}` : "";
+  return `${guess}${Math.round(tempo.bpm)} bpm${meter}`;
+};
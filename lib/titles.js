@@ -0,0 +1,40 @@
+import { tidyTitle } from "./ui.js";
+
+// packaging youtube uploads wrap around the song name. each rule is removed
+// wherever it matches, so keep them narrow enough to never eat a real title.
+export const TITLE_CLEANUP_RULES = [
+  // anything bracketed that starts with "official": (official hd video), …
+  /[([]\s*official\b[^)\]]*[)\]]/gi,
+  // (lyric video), [music video], (audio), (lyrics), (visualizer)
+  /[([]\s*(?:music\s+|lyrics?\s+)?(?:video|audio|visuali[sz]er|lyrics?)\s*[)\]]/gi,
+  // (hd), [4k], (1080p)
+  /[([]\s*(?:hd|hq|4k|8k|\d{3,4}p)\s*[)\]]/gi,
+  // (remastered), (2011 remaster), [remastered 2009]
+  /[([]\s*(?:\d{4}\s+)?remaster(?:ed)?(?:\s+\d{4})?(?:\s+version)?\s*[)\]]/gi,
+  // "song - official video", "song | official music video"
+  /\s[-–—|]\s*official\s+(?:music\s+)?(?:video|audio)\s*$/i,
+  // a bare trailing "hd"
+  /\s(?:hd|hq)\s*$/i,
+];
+
+// folder names swap unsafe characters for underscores; read them as spaces
+export const titleFromFolder = (folderName) =>
+  tidyTitle(folderName.replace(/_/g, " "));
+
+// falls back to the original when the rules would leave nothing
+export const cleanTakeTitle = (title = "") => {
+  const cleaned = TITLE_CLEANUP_RULES.reduce(
+    (current, rule) => current.replace(rule, " "),
+    title
+  )
+    .replace(/[([]\s*[)\]]/g, " ")
+    .replace(/[\s\-–—|]+$/, "");
+  return tidyTitle(cleaned) || tidyTitle(title);
+};
+
+// the display title a new take gets, or null when its folder name is clean
+export const suggestTakeTitle = (folderName) => {
+  const original = titleFromFolder(folderName);
+  const cleaned = cleanTakeTitle(original);
+  return cleaned === original ? null : cleaned;
+};
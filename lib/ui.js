@@ -5,29 +5,138 @@ import { cyan, dim, green, red, yellow } from "colorette";
 
 const TERM_WIDTH = Math.min(process.stdout.columns || 80, 72);
 
+// with --json, stdout carries one json object per line for scripts to read,
+// so everything meant for people moves to stderr and spinners go quiet
+const jsonMode = process.argv.includes("--json");
+const print = jsonMode ? console.error : console.log;
+
+const writeJson = (payload) => {
+  process.stdout.write(`${JSON.stringify(payload)}\n`);
+};
+
 const wrapLine = (text = "") =>
   wrapAnsi(text, TERM_WIDTH, { hard: false, trim: true });
 
 const voice = {
-  say: (text = "") => console.log(wrapLine(text)),
-  hint: (text = "") => console.log(dim(wrapLine(text))),
-  success: (text = "") => console.log(green(wrapLine(text))),
-  warn: (text = "") => console.log(yellow(wrapLine(text))),
-  error: (text = "") => console.log(red(wrapLine(text))),
+  say: (text = "") => print(wrapLine(text)),
+  hint: (text = "") => print(dim(wrapLine(text))),
+  success: (text = "") => print(green(wrapLine(text))),
+  warn: (text = "") => print(yellow(wrapLine(text))),
+  error: (text = "") => print(red(wrapLine(text))),
+};
+
+const tidyTitle = (title = "") => title.replace(/\s+/g, " ").trim();
+
+const writeProgress = (status, text) =>
+  writeJson({ type: "progress", status, message: tidyTitle(text) });
+
+// mirrors the nanospinner calls the tools make, as progress events
+const createJsonStatus = (text) => {
+  writeProgress("running", text);
+  const finish = (status) => (options = {}) =>
+    writeProgress(status, options.text ?? text);
+  return {
+    update: (options = {}) => {
+      if (options.text) writeProgress("running", options.text);
+    },
+    success: finish("done"),
+    warn: finish("warning"),
+    error: finish("failed"),
+    stop: () => {},
+    clear: () => {},
+  };
 };
 
 const createStatus = (text) =>
-  createSpinner(wrapLine(text), { color: "cyan" }).start();
+  jsonMode
+    ? createJsonStatus(text)
+    : createSpinner(wrapLine(text), { color: "cyan" }).start();
+
+const createCalmProgress = () => {
+  if (jsonMode) {
+    let last = null;
+    return {
+      set: (text = "") => {
+        if (text === last) return;
+        last = text;
+        writeProgress("running", text);
+      },
+      clear: () => {},
+    };
+  }
+  return {
+    set: (text = "") => {
+      logUpdate.clear();
+      logUpdate(wrapLine(text));
+    },
+    clear: () => logUpdate.clear(),
+  };
+};
 
-const createCalmProgress = () => ({
-  set: (text = "") => {
-    logUpdate.clear();
-    logUpdate(wrapLine(text));
-  },
-  clear: () => logUpdate.clear(),
-});
+const BOARD_SYMBOLS = {
+  waiting: dim("·"),
+  running: cyan("›"),
+  done: green("✔"),
+  skipped: yellow("↷"),
+  failed: red("✖"),
+};
 
-const tidyTitle = (title = "") => title.replace(/\s+/g, " ").trim();
+const fitText = (text, width) =>
+  text.length > width ? `${text.slice(0, Math.max(width - 1, 0))}…` : text;
+
+// one line per item, redrawn in place as each one moves along. with --json
+// every change is a progress event carrying the item's index instead.
+const createProgressBoard = (labels = []) => {
+  const rows = labels.map((label) => ({
+    label: tidyTitle(label),
+    status: "waiting",
+    text: "waiting",
+  }));
+  const numberWidth = String(rows.length).length;
+  const labelWidth = Math.floor(TERM_WIDTH / 2);
+
+  const formatRow = (row, index) => {
+    const number = String(index + 1).padStart(numberWidth);
+    const label = fitText(row.label, labelWidth).padEnd(labelWidth);
+    const textWidth = TERM_WIDTH - numberWidth - labelWidth - 5;
+    return `${BOARD_SYMBOLS[row.status]} ${number} ${label}  ${dim(
+      fitText(tidyTitle(row.text), textWidth)
+    )}`;
+  };
+  const render = () => logUpdate(rows.map(formatRow).join("\n"));
+
+  if (!jsonMode && rows.length) {
+    render();
+  }
+  return {
+    update: (index, changes = {}) => {
+      const row = rows[index];
+      const before = JSON.stringify(row);
+      Object.assign(row, changes);
+      row.label = tidyTitle(row.label);
+      if (JSON.stringify(row) === before) {
+        return;
+      }
+      if (jsonMode) {
+        writeJson({
+          type: "progress",
+          item: index,
+          label: row.label,
+          status: row.status,
+          message: tidyTitle(row.text),
+        });
+        return;
+      }
+      render();
+    },
+    done: () => {
+      if (!jsonMode && rows.length) {
+        render();
+        logUpdate.done();
+      }
+    },
+  };
+};
 
 const formatTime = (totalSeconds) => {
   if (
@@ -67,11 +176,14 @@ const formatRelativeTime = (date) => {
 
 export {
   TERM_WIDTH,
+  jsonMode,
+  writeJson,
   voice,
   wrapLine,
   tidyTitle,
   createStatus,
   createCalmProgress,
+  createProgressBoard,
   formatTime,
   formatRelativeTime,
 };
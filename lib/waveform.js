@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { cyan, dim, yellow } from "colorette";
+
+import { PROCESSED_DIR, ensureDirectory } from "./paths.js";
+import { decodeMonoPcm } from "./pcm.js";
+import { logStage } from "./debug.js";
+
+// plenty for an overview, and a long take still decodes in a moment
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BUCKETS = 1024;
+const WAVEFORM_CACHE_VERSION = 1;
+const LEVELS = "▁▂▃▄▅▆▇█";
+const SILENCE_PEAK = 0.02;
+const PLAYHEAD = "┃";
+const MARKER = "▾";
+
+const CACHE_DIR = path.join(PROCESSED_DIR, ".waveforms");
+
+// kept out of the take folders, whose mtimes say when a take last changed.
+// only library audio is cached; a throwaway mix preview isn't worth a file.
+const cachePathFor = (filePath) => {
+  const relative = path.relative(PROCESSED_DIR, path.resolve(filePath));
+  if (relative.startsWith("..") || path.isAbsolute(relative)) {
+    return null;
+  }
+  const key = crypto.createHash("sha1").update(relative).digest("hex");
+  return path.join(CACHE_DIR, `${key}.json`);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const summarize = (samples) => {
+  const bucketCount = Math.min(WAVEFORM_BUCKETS, samples.length);
+  const peaks = new Array(bucketCount).fill(0);
+  const rms = new Array(bucketCount).fill(0);
+  for (let bucket = 0; bucket < bucketCount; bucket += 1) {
+    const from = Math.floor((bucket * samples.length) / bucketCount);
+    const to = Math.floor(((bucket + 1) * samples.length) / bucketCount);
+    let peak = 0;
+    let energy = 0;
+    for (let i = from; i < to; i += 1) {
+      const level = Math.abs(samples[i]);
+      peak = Math.max(peak, level);
+      energy += level * level;
+    }
+    peaks[bucket] = peak;
+    rms[bucket] = Math.sqrt(energy / Math.max(to - from, 1));
+  }
+  const loudest = Math.max(...peaks, 1e-6);
+  return {
+    peaks: peaks.map((value) => round(value / loudest)),
+    rms: rms.map((value) => round(value / loudest)),
+  };
+};
+
+const readCachedWaveform = (cachePath, stats) => {
+  try {
+    const cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    const fresh =
+      cached.version === WAVEFORM_CACHE_VERSION &&
+      cached.fileSize === stats.size &&
+      cached.modifiedAt === stats.mtimeMs;
+    return fresh ? { peaks: cached.peaks, rms: cached.rms } : null;
+  } catch {
+    return null;
+  }
+};
+
+// resolves with { peaks, rms }, each 0–1 against the loudest peak
+export const loadWaveform = async (filePath) => {
+  const stats = fs.statSync(filePath);
+  const cachePath = cachePathFor(filePath);
+  const cached = cachePath && readCachedWaveform(cachePath, stats);
+  if (cached) {
+    return cached;
+  }
+
+  const samples = await decodeMonoPcm(filePath, {
+    sampleRate: WAVEFORM_SAMPLE_RATE,
+  });
+  const waveform = summarize(samples);
+  if (!cachePath) {
+    return waveform;
+  }
+  try {
+    ensureDirectory(CACHE_DIR);
+    fs.writeFileSync(
+      cachePath,
+      JSON.stringify({
+        version: WAVEFORM_CACHE_VERSION,
+        fileSize: stats.size,
+        modifiedAt: stats.mtimeMs,
+        ...waveform,
+      })
+    );
+  } catch (error) {
+    // a read-only folder just means decoding again next time
+    logStage("WAVEFORM", "cache write failed", error.message);
+  }
+  return waveform;
+};
+
+// squeezes the buckets into `width` columns: loudest peak and mean rms
+const toColumns = (waveform, width) => {
+  const { peaks, rms } = waveform;
+  return Array.from({ length: width }, (_, column) => {
+    const from = Math.floor((column * peaks.length) / width);
+    const to = Math.max(
+      Math.floor(((column + 1) * peaks.length) / width),
+      from + 1
+    );
+    let peak = 0;
+    let energy = 0;
+    for (let i = from; i < to; i += 1) {
+      peak = Math.max(peak, peaks[i] ?? 0);
+      energy += rms[i] ?? 0;
+    }
+    return { peak, rms: energy / (to - from) };
+  });
+};
+
+// drum hits all peak about as high, so the height follows rms, which climbs
+// with how busy the playing is. that's what makes fills and breaks stand out.
+const toGlyphs = (columns) => {
+  const loudest = Math.max(...columns.map((column) => column.rms), 1e-6);
+  return columns.map((column) => {
+    if (column.peak < SILENCE_PEAK) {
+      return " ";
+    }
+    const level = Math.sqrt(column.rms / loudest);
+    return LEVELS[
+      Math.min(Math.round(level * (LEVELS.length - 1)), LEVELS.length - 1)
+    ];
+  });
+};
+
+// two rows: loop bounds and markers above, the waveform with the playhead
+// below. played cells are cyan and an active loop is yellow.
+export const renderWaveform = (waveform, options) => {
+  const {
+    width,
+    currentSeconds,
+    totalSeconds,
+    loop = null,
+    markers = [],
+  } = options;
+  const toCell = (seconds) =>
+    Math.min(
+      Math.floor(Math.min(Math.max(seconds / totalSeconds, 0), 1) * width),
+      width - 1
+    );
+  const glyphs = toGlyphs(toColumns(waveform, width));
+  const playhead = toCell(currentSeconds);
+  const loopStart = loop?.start ?? null;
+  const loopEnd = loop?.end ?? null;
+  const startCell = loopStart === null ? null : toCell(loopStart);
+  const endCell = loopEnd === null ? null : toCell(loopEnd);
+
+  const overlay = new Array(width).fill(" ");
+  markers.forEach((seconds) => {
+    overlay[toCell(seconds)] = MARKER;
+  });
+  if (startCell !== null) overlay[startCell] = "[";
+  if (endCell !== null) overlay[endCell] = "]";
+
+  const wave = glyphs
+    .map((glyph, cell) => {
+      if (cell === playhead) return PLAYHEAD;
+      const insideLoop =
+        loop?.active && cell >= startCell && cell <= endCell;
+      if (insideLoop) return yellow(glyph);
+      return cell < playhead ? cyan(glyph) : dim(glyph);
+    })
+    .join("");
+
+  return [overlay.join("").trimEnd(), wave];
+};
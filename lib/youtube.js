@@ -0,0 +1,337 @@
+import path from "path";
+import { exec } from "child_process";
+import { google } from "googleapis";
+
+import { DOWNLOADS_DIR } from "./paths.js";
+import { tidyTitle, voice } from "./ui.js";
+import { logStage, logDebug, trimForLog } from "./debug.js";
+import { findCachedDownload, rememberDownload } from "./download-cache.js";
+import { getConfig } from "./config.js";
+
+let youtubeClient = null;
+
+const ensureYoutubeClient = () => {
+  if (!process.env.YOUTUBE_API_KEY) {
+    voice.error("missing YOUTUBE_API_KEY in your .env file.");
+    throw new Error("YOUTUBE_API_KEY missing");
+  }
+
+  if (!youtubeClient) {
+    youtubeClient = google.youtube({
+      version: "v3",
+      auth: process.env.YOUTUBE_API_KEY,
+    });
+  }
+  return youtubeClient;
+};
+
+// fails early, before a batch starts drawing, when the api key is missing
+export const prepareYoutube = () => {
+  ensureYoutubeClient();
+};
+
+export const isoDurationToSeconds = (duration) => {
+  if (!duration) return null;
+  const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+  if (!match) return null;
+  const hours = parseInt(match[1] || "0", 10);
+  const minutes = parseInt(match[2] || "0", 10);
+  const seconds = parseInt(match[3] || "0", 10);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const PLAYLIST_PAGE_SIZE = 50;
+const MAX_PLAYLIST_ENTRIES = 200;
+
+const toUrl = (value) => {
+  const trimmed = String(value).trim();
+  const candidate = /^https?:\/\//i.test(trimmed)
+    ? trimmed
+    : `https://${trimmed}`;
+  try {
+    return new URL(candidate);
+  } catch {
+    return null;
+  }
+};
+
+// returns { videoId, playlistId } for youtube links, null for anything else
+export const parseYoutubeLink = (value = "") => {
+  if (/\s/.test(String(value).trim())) {
+    return null;
+  }
+  const url = toUrl(value);
+  if (!url) {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^(www|m|music)\./, "");
+  let videoId = null;
+
+  if (host === "youtu.be") {
+    videoId = url.pathname.split("/")[1] || null;
+  } else if (host === "youtube.com" || host === "youtube-nocookie.com") {
+    const [section, id] = url.pathname.split("/").filter(Boolean);
+    if (section === "watch") {
+      videoId = url.searchParams.get("v");
+    } else if (["shorts", "embed", "live", "v"].includes(section)) {
+      videoId = id ?? null;
+    } else if (section !== "playlist") {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  const playlistId = url.searchParams.get("list");
+  const validVideoId =
+    videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null;
+  if (!validVideoId && !playlistId) {
+    return null;
+  }
+  return { videoId: validVideoId, playlistId: playlistId || null };
+};
+
+export const fetchVideosByIds = async (videoIds = []) => {
+  const client = ensureYoutubeClient();
+  const videos = [];
+  try {
+    for (let start = 0; start < videoIds.length; start += PLAYLIST_PAGE_SIZE) {
+      const batch = videoIds.slice(start, start + PLAYLIST_PAGE_SIZE);
+      logStage("YOUTUBE", "video details", batch.length);
+      const response = await client.videos.list({
+        part: ["snippet", "contentDetails"],
+        id: batch.join(","),
+      });
+      const byId = new Map(
+        (response.data.items ?? []).map((item) => [item.id, item])
+      );
+      batch.forEach((videoId) => {
+        const item = byId.get(videoId);
+        if (!item?.snippet?.title) {
+          return;
+        }
+        videos.push({
+          videoId,
+          title: item.snippet.title,
+          durationSeconds: isoDurationToSeconds(
+            item.contentDetails?.duration || ""
+          ),
+        });
+      });
+    }
+  } catch (error) {
+    logStage(
+      "YOUTUBE-ERROR",
+      "details",
+      trimForLog(
+        error.response?.data?.error?.message || error.message || "unknown"
+      )
+    );
+    throw new Error(
+      error.response?.data?.error?.message ||
+        error.message ||
+        "youtube lookup failed"
+    );
+  }
+  return videos;
+};
+
+export const listPlaylistVideos = async (playlistId) => {
+  const client = ensureYoutubeClient();
+  const videoIds = [];
+  let pageToken;
+  try {
+    do {
+      const response = await client.playlistItems.list({
+        part: ["contentDetails"],
+        playlistId,
+        maxResults: PLAYLIST_PAGE_SIZE,
+        pageToken,
+      });
+      (response.data.items ?? []).forEach((item) => {
+        const videoId = item.contentDetails?.videoId;
+        if (videoId && !videoIds.includes(videoId)) {
+          videoIds.push(videoId);
+        }
+      });
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && videoIds.length < MAX_PLAYLIST_ENTRIES);
+  } catch (error) {
+    logStage(
+      "YOUTUBE-ERROR",
+      "playlist",
+      trimForLog(
+        error.response?.data?.error?.message || error.message || "unknown"
+      )
+    );
+    throw new Error(
+      error.response?.data?.error?.message ||
+        error.message ||
+        "couldn't open that playlist"
+    );
+  }
+  logStage("YOUTUBE", "playlist entries", videoIds.length);
+  // private and deleted entries drop out here because they have no details
+  return fetchVideosByIds(videoIds.slice(0, MAX_PLAYLIST_ENTRIES));
+};
+
+export const describeYoutubeSource = (video, details = {}) => ({
+  type: "youtube",
+  videoId: video.videoId,
+  url: `https://www.youtube.com/watch?v=${video.videoId}`,
+  originalTitle: video.title,
+  query: details.query ?? null,
+  durationSeconds: video.durationSeconds ?? null,
+});
+
+export const searchVideos = async (
+  query,
+  maxResults = getConfig("search.maxResults")
+) => {
+  const client = ensureYoutubeClient();
+  logStage("YOUTUBE", `searching "${query}" (max ${maxResults})`);
+  try {
+    const response = await client.search.list({
+      part: ["snippet"],
+      q: query,
+      type: "video",
+      maxResults,
+    });
+
+    const items =
+      response.data.items?.map((item) => ({
+        videoId: item.id?.videoId,
+        title: item.snippet?.title,
+      })) || [];
+
+    const validItems = items.filter((item) => item.videoId && item.title);
+    if (validItems.length === 0) {
+      return [];
+    }
+
+    const ids = validItems.map((item) => item.videoId).join(",");
+    const durationsMap = new Map();
+    if (ids.length > 0) {
+      const durationResponse = await client.videos.list({
+        part: ["contentDetails"],
+        id: ids,
+      });
+      durationResponse.data.items?.forEach((video) => {
+        const seconds = isoDurationToSeconds(
+          video.contentDetails?.duration || ""
+        );
+        durationsMap.set(video.id, seconds);
+      });
+    }
+
+    return validItems.map((item) => ({
+      ...item,
+      durationSeconds: durationsMap.get(item.videoId) ?? null,
+    }));
+  } catch (error) {
+    logStage(
+      "YOUTUBE-ERROR",
+      "details",
+      trimForLog(
+        error.response?.data?.error?.message || error.message || "unknown"
+      )
+    );
+    throw new Error(
+      error.response?.data?.error?.message ||
+        error.message ||
+        "youtube search failed"
+    );
+  }
+};
+
+const runYtDlp = (videoUrl, outputPath, callbacks = {}) => {
+  const { onMessage, onProgress } = callbacks;
+  const command = `yt-dlp -x --audio-format mp3 --output "${outputPath}" --no-check-certificates --no-warnings --force-ipv4 "${videoUrl}"`;
+  logDebug(`Running yt-dlp: ${command}`);
+
+  const stdoutChunks = [];
+  const stderrChunks = [];
+
+  return new Promise((resolve, reject) => {
+    const downloadProcess = exec(command);
+    onMessage?.("pulling audio…");
+
+    downloadProcess.stdout?.on("data", (data) => {
+      const chunk = data.toString();
+      stdoutChunks.push(chunk);
+      const percentMatch = chunk.match(/(\d+(?:\.\d+)?)%/);
+      if (percentMatch) {
+        onProgress?.(parseFloat(percentMatch[1]));
+      }
+      logDebug(chunk);
+    });
+
+    downloadProcess.stderr?.on("data", (data) => {
+      const stderrText = data.toString();
+      stderrChunks.push(stderrText);
+      logStage("DOWNLOAD-STDERR", "line", trimForLog(stderrText));
+    });
+
+    downloadProcess.on("close", (code) => {
+      logStage("DOWNLOAD", `yt-dlp exited with ${code}`);
+      logStage(
+        "DOWNLOAD-TRACE",
+        "stdout",
+        trimForLog(stdoutChunks.join("").trim())
+      );
+      logStage(
+        "DOWNLOAD-TRACE",
+        "stderr",
+        trimForLog(stderrChunks.join("").trim())
+      );
+      if (code === 0) {
+        logStage("DOWNLOAD", "file", outputPath);
+        resolve(outputPath);
+      } else {
+        reject(
+          new Error(
+            `yt-dlp exited with code ${code}. run with --debug for details.`
+          )
+        );
+      }
+    });
+
+    downloadProcess.on("error", (err) => {
+      logStage("DOWNLOAD", "spawn error", err.message);
+      reject(
+        new Error("couldn't start yt-dlp. is it installed and on your path?")
+      );
+    });
+  });
+};
+
+export const downloadVideoAudio = async (videoId, title, callbacks = {}) => {
+  const cachedFile = await findCachedDownload(videoId);
+  if (cachedFile) {
+    callbacks.onCacheHit?.(cachedFile);
+    return cachedFile;
+  }
+
+  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+  const safeTitle = tidyTitle(title)
+    .replace(/[\u0000-\u001F\\/?*:|"<>]/g, "_")
+    .substring(0, 100);
+  // the id keeps two videos with the same title from sharing one file
+  const outputPath = path.join(
+    DOWNLOADS_DIR,
+    `${safeTitle} [${videoId}].mp3`
+  );
+
+  logStage("DOWNLOAD", `starting "${title}" (${videoId})`);
+  logStage("DOWNLOAD", "videoUrl", videoUrl);
+  logStage("DOWNLOAD", "output", outputPath);
+
+  await runYtDlp(videoUrl, outputPath, callbacks);
+  try {
+    await rememberDownload(videoId, outputPath, title);
+  } catch (error) {
+    logStage("CACHE", "couldn't remember download", error.message);
+  }
+  return outputPath;
+};
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  parseCatalog,
+  planCatalogImport,
+  serializeCatalog,
+  toCatalogRecord,
+} from "../lib/catalog-share.js";
+
+const take = {
+  id: "back_in_black",
+  title: "Back in Black",
+  folderTitle: "back in black",
+  folderPath: "/tmp/back_in_black",
+  source: { type: "youtube", videoId: "pAgnJDJN4VA" },
+  durationSeconds: 255.4,
+  tempo: { bpm: 94, meter: "4/4" },
+  noteEntries: [
+    { text: "AC/DC - Back in Black", createdAt: "2026-01-02T00:00:00.000Z" },
+    { text: "Song, live", createdAt: "2026-01-03T00:00:00.000Z" },
+    { text: 'the "quiet" intro', createdAt: "2026-01-04T00:00:00.000Z" },
+  ],
+  notes: ["AC/DC - Back in Black", "Song, live", 'the "quiet" intro'],
+  processing: { processedAt: "2026-01-01T00:00:00.000Z" },
+  playCount: 3,
+};
+
+test("csv keeps notes with commas, slashes and quotes whole", () => {
+  const csv = serializeCatalog([toCatalogRecord(take)], "csv");
+  const [record] = parseCatalog(csv, "csv");
+  assert.deepEqual(record.notes.map((note) => note.text), take.notes);
+  assert.equal(record.addedAt, "2026-01-01T00:00:00.000Z");
+});
+
+test("re-importing an exported csv plans no new notes", () => {
+  const csv = serializeCatalog([toCatalogRecord(take)], "csv");
+  const plan = planCatalogImport(parseCatalog(csv, "csv"), [take]);
+  assert.equal(plan.updates.length, 0);
+  assert.equal(plan.unchanged.length, 1);
+});
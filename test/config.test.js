@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+// config.js reads its file, env and --set layers once, when it's imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "bata-config-"));
+const configFile = path.join(configDir, "config.json");
+fs.writeFileSync(
+  configFile,
+  JSON.stringify({
+    "search.maxResults": 6,
+    "batch.jobs": 4,
+    "server.port": 5000,
+    "player.maxVolume": "loud",
+  })
+);
+Object.keys(process.env)
+  .filter((name) => name.startsWith("BATA_"))
+  .forEach((name) => delete process.env[name]);
+Object.assign(process.env, {
+  BATA_CONFIG: configFile,
+  BATA_MAX_RESULTS: "7",
+  BATA_BATCH_JOBS: "3",
+  BATA_SEPARATOR: "",
+  BATA_SEEK_SECONDS: "12",
+});
+process.argv.push(
+  "--set",
+  "search.maxResults=9",
+  "--set=player.seekSeconds=abc",
+  "--set",
+  "nope=1"
+);
+
+const {
+  getConfig,
+  invalidConfigOverrides,
+  parseConfigValue,
+  resolveConfig,
+  setConfigValue,
+  stripConfigOverrides,
+  unsetConfigValue,
+} = await import("../lib/config.js");
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test("the command line beats the environment, the file and the default", () => {
+  assert.deepEqual(resolveConfig("search.maxResults"), {
+    key: "search.maxResults",
+    value: 9,
+    source: "command line",
+  });
+  assert.equal(resolveConfig("batch.jobs").source, "environment");
+  assert.equal(getConfig("batch.jobs"), 3);
+  assert.equal(resolveConfig("server.port").source, "config file");
+  assert.equal(getConfig("server.port"), 5000);
+  assert.equal(resolveConfig("moises.workflow").source, "default");
+});
+
+test("an empty env var reads as unset", () => {
+  assert.deepEqual(resolveConfig("separator.default"), {
+    key: "separator.default",
+    value: "moises",
+    source: "default",
+  });
+});
+
+test("a bad value in the file falls through to the default", () => {
+  assert.deepEqual(resolveConfig("player.maxVolume"), {
+    key: "player.maxVolume",
+    value: 4,
+    source: "default",
+  });
+});
+
+test("a bad --set value is reported and never applied", () => {
+  assert.deepEqual(invalidConfigOverrides(), [
+    "player.seekSeconds takes a number from 1 to 60.",
+    'unknown setting "nope". run bata config list to see them all.',
+  ]);
+  assert.equal(resolveConfig("player.seekSeconds").source, "environment");
+  assert.equal(getConfig("player.seekSeconds"), 12);
+});
+
+test("values are parsed to the setting's type and range", () => {
+  assert.equal(parseConfigValue("search.maxResults", " 10 "), 10);
+  assert.equal(parseConfigValue("player.volumeStep", "0.25"), 0.25);
+  assert.equal(parseConfigValue("separator.default", "Local"), "local");
+  assert.equal(parseConfigValue("library.dir", " ~/drums "), "~/drums");
+  assert.throws(() => parseConfigValue("search.maxResults", "2.5"), /whole/);
+  assert.throws(() => parseConfigValue("search.maxResults", "51"), /1 to 50/);
+  assert.throws(() => parseConfigValue("server.port", ""), /whole/);
+  assert.throws(() => parseConfigValue("separator.default", "foo"), /local/);
+  assert.throws(() => parseConfigValue("library.dir", " "), /folder/);
+  assert.throws(() => parseConfigValue("nope", "1"), /unknown setting/);
+});
+
+test("--set pairs are stripped from the command line", () => {
+  assert.deepEqual(
+    stripConfigOverrides([
+      "list",
+      "--set",
+      "a=1",
+      "--matches",
+      "--set=b=2",
+      "--json",
+    ]),
+    ["list", "--matches", "--json"]
+  );
+});
+
+test("set and unset validate and write the config file", () => {
+  assert.throws(() => setConfigValue("batch.jobs", "99"), /1 to 8/);
+  assert.equal(setConfigValue("moises.workflow", "my_flow"), "my_flow");
+  assert.equal(
+    JSON.parse(fs.readFileSync(configFile, "utf-8"))["moises.workflow"],
+    "my_flow"
+  );
+  assert.deepEqual(resolveConfig("moises.workflow"), {
+    key: "moises.workflow",
+    value: "my_flow",
+    source: "config file",
+  });
+
+  assert.equal(unsetConfigValue("moises.workflow"), true);
+  assert.equal(unsetConfigValue("moises.workflow"), false);
+  assert.equal(resolveConfig("moises.workflow").source, "default");
+  // the rest of the file is left alone
+  assert.equal(
+    JSON.parse(fs.readFileSync(configFile, "utf-8"))["server.port"],
+    5000
+  );
+});
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+
+import {
+  METADATA_SCHEMA_VERSION,
+  appendTakeNotes,
+  editTakeNote,
+  getMetadataPath,
+  readTakeMetadata,
+} from "../lib/take-metadata.js";
+
+let folderPath;
+
+const writeRaw = (raw) =>
+  fs.writeFileSync(getMetadataPath(folderPath), JSON.stringify(raw));
+
+const readRaw = () =>
+  JSON.parse(fs.readFileSync(getMetadataPath(folderPath), "utf-8"));
+
+beforeEach(() => {
+  folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "bata-meta-"));
+});
+
+afterEach(() => {
+  fs.rmSync(folderPath, { recursive: true, force: true });
+});
+
+test("a folder without metadata reads as an empty take", () => {
+  const metadata = readTakeMetadata(folderPath);
+  assert.deepEqual(metadata.notes, []);
+  assert.equal(metadata.playCount, 0);
+  assert.equal(metadata.source, null);
+});
+
+test("an unversioned (v1) file is migrated to the current schema", () => {
+  writeRaw({
+    notes: ["song a", "song b"],
+    lastNotedAt: "2026-01-02T00:00:00.000Z",
+    lastPlayedAt: "2026-01-03T00:00:00.000Z",
+    playCount: 2,
+    source: {
+      type: "youtube",
+      videoId: "abc123",
+      url: "https://youtu.be/abc123",
+      title: "Song A (Official Video)",
+    },
+  });
+  const metadata = readTakeMetadata(folderPath);
+  assert.deepEqual(metadata.notes, [
+    {
+      text: "song a",
+      createdAt: "2026-01-02T00:00:00.000Z",
+      editedAt: null,
+    },
+    {
+      text: "song b",
+      createdAt: "2026-01-02T00:00:00.000Z",
+      editedAt: null,
+    },
+  ]);
+  assert.equal(metadata.source.videoId, "abc123");
+  assert.equal(metadata.source.originalTitle, "Song A (Official Video)");
+  assert.equal(metadata.processing, null);
+  assert.equal(metadata.playCount, 2);
+  assert.equal(metadata.lastPlayedAt, "2026-01-03T00:00:00.000Z");
+  // the v1 source title was the video's, never the take's display title
+  assert.equal(metadata.title, null);
+});
+
+test("a v2 file only has its notes upgraded", () => {
+  writeRaw({
+    schemaVersion: 2,
+    notes: ["song a"],
+    lastNotedAt: null,
+    source: { type: "file", originalTitle: "demo", fileName: "demo.wav" },
+    processing: { separator: "local", processedAt: "2026-01-01T00:00:00Z" },
+  });
+  const metadata = readTakeMetadata(folderPath);
+  assert.deepEqual(metadata.notes, [
+    { text: "song a", createdAt: null, editedAt: null },
+  ]);
+  assert.equal(metadata.source.originalTitle, "demo");
+  assert.equal(metadata.processing.separator, "local");
+});
+
+test("a current file is read as it is", () => {
+  const notes = [
+    { text: "song a", createdAt: "2026-01-02T00:00:00.000Z", editedAt: null },
+  ];
+  writeRaw({ schemaVersion: METADATA_SCHEMA_VERSION, notes, playCount: 5 });
+  const metadata = readTakeMetadata(folderPath);
+  assert.deepEqual(metadata.notes, notes);
+  assert.equal(metadata.playCount, 5);
+});
+
+test("writing a migrated file stores the current schema version", async () => {
+  writeRaw({ notes: ["song a"], playCount: 1 });
+  await appendTakeNotes(folderPath, ["song b"]);
+  const raw = readRaw();
+  assert.equal(raw.schemaVersion, METADATA_SCHEMA_VERSION);
+  assert.deepEqual(raw.notes.map((note) => note.text), ["song a", "song b"]);
+  assert.equal(raw.playCount, 1);
+});
+
+test("an unreadable file reads as empty instead of throwing", () => {
+  fs.writeFileSync(getMetadataPath(folderPath), "{ not json");
+  assert.deepEqual(readTakeMetadata(folderPath).notes, []);
+});
+
+test("editing a note into a copy of another is refused", async () => {
+  await appendTakeNotes(folderPath, ["song a", "song b"]);
+  await assert.rejects(editTakeNote(folderPath, 1, "song a"), /already/);
+  assert.deepEqual(
+    readTakeMetadata(folderPath).notes.map((note) => note.text),
+    ["song a", "song b"]
+  );
+});
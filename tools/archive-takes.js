@@ -0,0 +1,126 @@
+import enquirer from "enquirer";
+
+import { formatRelativeTime, voice } from "../lib/ui.js";
+import {
+  archiveTake,
+  listArchivedTakes,
+  purgeArchivedTake,
+  restoreArchivedTake,
+} from "../lib/archive.js";
+import { logStage } from "../lib/debug.js";
+
+const { Select, Confirm } = enquirer;
+
+// resolves with true once the take has left the catalog
+export const archiveTakeFlow = async (take, reason = "archived") => {
+  if (reason === "deleted") {
+    const confirmPrompt = new Confirm({
+      message: `delete ${take.title}? it stays restorable until you purge it.`,
+      initial: false,
+    });
+    if (!(await confirmPrompt.run())) {
+      return false;
+    }
+  }
+  try {
+    const archived = archiveTake(take, reason);
+    voice.success(
+      `${reason === "deleted" ? "deleted" : "archived"} ${take.title}${
+        archived.download ? " and its download" : ""
+      }.`
+    );
+    voice.hint("bring it back from the catalog's archived takes.");
+    return true;
+  } catch (error) {
+    voice.warn(error.message);
+    return false;
+  }
+};
+
+const formatArchivedChoice = (archived) =>
+  `${archived.title} · ${archived.reason} ${formatRelativeTime(
+    archived.archivedAt
+  )}`;
+
+const promptArchivedAction = async (archived) => {
+  const actionPrompt = new Select({
+    message: `what now? (${archived.title})`,
+    choices: [
+      { name: "restore", message: "restore it to the catalog" },
+      { name: "purge", message: "delete it for good" },
+      { name: "back", message: "back" },
+    ],
+  });
+  return actionPrompt.run();
+};
+
+const purgeWithConfirm = async (archived) => {
+  const confirmPrompt = new Confirm({
+    message: `delete ${archived.title} for good? this can't be undone.`,
+    initial: false,
+  });
+  if (!(await confirmPrompt.run())) {
+    return;
+  }
+  purgeArchivedTake(archived);
+  voice.success(`${archived.title} is gone for good.`);
+};
+
+const purgeAll = async (entries) => {
+  const confirmPrompt = new Confirm({
+    message: `delete all ${entries.length} archived takes for good? this can't be undone.`,
+    initial: false,
+  });
+  if (!(await confirmPrompt.run())) {
+    return;
+  }
+  entries.forEach(purgeArchivedTake);
+  voice.success("the archive is empty.");
+};
+
+// lists archived and deleted takes to restore or purge. resolves with the id
+// of the last take restored, or null.
+export const browseArchive = async () => {
+  let restoredId = null;
+  for (;;) {
+    const entries = listArchivedTakes();
+    if (!entries.length) {
+      voice.say("nothing archived or deleted.");
+      return restoredId;
+    }
+    const archivePrompt = new Select({
+      message: `archived and deleted takes (${entries.length})`,
+      choices: [
+        ...entries.map((archived) => ({
+          name: archived.name,
+          message: formatArchivedChoice(archived),
+        })),
+        { name: "__purge", message: "delete them all for good" },
+        { name: "__back", message: "← back" },
+      ],
+    });
+    const answer = await archivePrompt.run();
+    logStage("ARCHIVE", "choice", answer);
+    if (answer === "__back") {
+      return restoredId;
+    }
+
+    try {
+      if (answer === "__purge") {
+        await purgeAll(entries);
+        continue;
+      }
+      const archived = entries.find((entry) => entry.name === answer);
+      const action = await promptArchivedAction(archived);
+      if (action === "restore") {
+        restoreArchivedTake(archived);
+        restoredId = archived.id;
+        voice.success(`${archived.title} is back in the catalog.`);
+      } else if (action === "purge") {
+        await purgeWithConfirm(archived);
+      }
+    } catch (error) {
+      voice.warn(error.message);
+    }
+  }
+};
@@ -0,0 +1,267 @@
+import fs from "fs";
+import path from "path";
+
+import {
+  DOWNLOADS_DIR,
+  PROCESSED_DIR,
+  ensureDirectory,
+} from "../lib/paths.js";
+import { createProgressBoard, tidyTitle, voice } from "../lib/ui.js";
+import {
+  describeYoutubeSource,
+  downloadVideoAudio,
+  fetchVideosByIds,
+  parseYoutubeLink,
+  prepareYoutube,
+  searchVideos,
+} from "../lib/youtube.js";
+import {
+  MAX_JOB_NAME_LENGTH,
+  getSeparator,
+  separateDrums,
+  toSafeJobName,
+} from "../lib/separation.js";
+import { combineDrumStems } from "../lib/audio.js";
+import { findTakesByVideoId } from "../lib/takes.js";
+import { runWithConcurrency } from "../lib/concurrency.js";
+import { logStage } from "../lib/debug.js";
+import { recordNewTakeProvenance } from "./find-drums.js";
+
+// one search or youtube link per line; blank lines and # comments are skipped
+export const parseBatchList = (text = "") =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+// a file path, or stdin when there's none (or it's "-")
+export const readBatchList = async (file) => {
+  if (file && file !== "-") {
+    if (!fs.existsSync(file)) {
+      throw new Error(`can't find ${file}.`);
+    }
+    return parseBatchList(fs.readFileSync(file, "utf-8"));
+  }
+  let text = "";
+  process.stdin.setEncoding("utf-8");
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return parseBatchList(text);
+};
+
+const resolveEntry = async (entry) => {
+  const link = parseYoutubeLink(entry);
+  if (link && !link.videoId) {
+    throw new Error("playlists don't go in a batch. try bata find --all.");
+  }
+  const [video] = link
+    ? await fetchVideosByIds([link.videoId])
+    : await searchVideos(entry, 1);
+  if (!video) {
+    throw new Error(
+      link ? "that link has nothing i can pull." : "couldn't find anything."
+    );
+  }
+  return { video, query: link ? null : entry };
+};
+
+// a song already in the catalog, or earlier in this same list, is skipped
+const findDuplicate = (video, index, resolved, force) => {
+  const earlier = resolved.findIndex(
+    (other, otherIndex) =>
+      otherIndex < index && other?.video.videoId === video.videoId
+  );
+  if (earlier !== -1) {
+    return { reason: `same video as #${earlier + 1}.`, takeId: null };
+  }
+  const [existingTake] = force ? [] : findTakesByVideoId(video.videoId);
+  return existingTake
+    ? { reason: "already in your catalog.", takeId: existingTake.id }
+    : null;
+};
+
+const listFolderNames = () =>
+  fs.existsSync(PROCESSED_DIR)
+    ? fs.readdirSync(PROCESSED_DIR).map((name) => name.toLowerCase())
+    : [];
+
+// the title names the take's folder, so a different video with the same
+// title, in the library or earlier in the list, would have its stems written
+// over. it gets a (2) instead. a take redone with --force keeps its folder.
+const assignJobNames = (queue, resolved) => {
+  const taken = new Set(listFolderNames());
+  return new Map(
+    queue.map((index) => {
+      const { video } = resolved[index];
+      const own = new Set(
+        findTakesByVideoId(video.videoId).map((take) => take.id.toLowerCase())
+      );
+      const base = toSafeJobName(video.title);
+      let name = base;
+      for (
+        let copy = 2;
+        taken.has(name.toLowerCase()) && !own.has(name.toLowerCase());
+        copy += 1
+      ) {
+        const suffix = ` (${copy})`;
+        const room = MAX_JOB_NAME_LENGTH - suffix.length;
+        name = `${base.substring(0, room)}${suffix}`;
+      }
+      taken.add(name.toLowerCase());
+      return [index, name];
+    })
+  );
+};
+
+const isolateEntry = async ({ video, query }, jobName, report, options) => {
+  report("pulling audio…");
+  const downloadedFile = await downloadVideoAudio(
+    video.videoId,
+    video.title,
+    {
+      onProgress: (percent) =>
+        report(`pulling audio… ${Math.floor(percent)}%`),
+      onCacheHit: () => report("reusing the audio you already pulled."),
+    }
+  );
+
+  const source = describeYoutubeSource(video, { query });
+  const studioResult = await separateDrums(downloadedFile, jobName, {
+    separator: options.separator,
+    source,
+    onPhase: report,
+  });
+  await recordNewTakeProvenance(studioResult, source);
+
+  const { drumWavFiles, jobOutputDir } = studioResult;
+  if (!drumWavFiles.length) {
+    throw new Error("couldn't isolate clean drums from that take.");
+  }
+  if (options.blend && drumWavFiles.length > 1) {
+    report("blending the drums…");
+    await combineDrumStems(drumWavFiles, jobOutputDir);
+  }
+  return { takeId: path.basename(jobOutputDir), stems: drumWavFiles.length };
+};
+
+const summarize = ({ processed, skipped, failed }, total) => {
+  voice.say(`isolated ${processed.length} of ${total} songs.`);
+  if (skipped.length) {
+    const describeSkip = ({ entry, reason }) =>
+      `${entry} (${reason.replace(/\.$/, "")})`;
+    voice.hint(`skipped: ${skipped.map(describeSkip).join(", ")}`);
+  }
+  failed.forEach(({ index, entry, reason }) => {
+    voice.warn(`#${index + 1} ${entry}: ${reason}`);
+  });
+  if (failed.length) {
+    voice.hint("bata resume picks up studio jobs that were cut short.");
+  }
+};
+
+// resolves every entry to a video, then isolates them `jobs` at a time.
+// resolves with { processed, skipped, failed } in list order.
+export const processBatch = async (entries, options = {}) => {
+  const { jobs = 1, separator, blend = false, force = false } = options;
+  prepareYoutube();
+  getSeparator(separator).prepare();
+  ensureDirectory(DOWNLOADS_DIR);
+  logStage("BATCH", "start", { count: entries.length, jobs, separator });
+
+  const board = createProgressBoard(entries);
+  const outcome = { processed: [], skipped: [], failed: [] };
+  // marks the row the moment a step throws, then lets the pool record it
+  const tracked = (work) => async (index) => {
+    try {
+      return await work(index);
+    } catch (error) {
+      const reason = error?.message || "something went wrong.";
+      logStage("BATCH", `#${index + 1} failed`, reason);
+      board.update(index, { status: "failed", text: reason });
+      throw error;
+    }
+  };
+  const toFailure = (index, error) => ({
+    index,
+    entry: entries[index],
+    reason: error?.message || "something went wrong.",
+  });
+
+  const resolutions = await runWithConcurrency(
+    entries.map((entry, index) => index),
+    jobs,
+    tracked(async (index) => {
+      board.update(index, { status: "running", text: "finding it…" });
+      const resolved = await resolveEntry(entries[index]);
+      board.update(index, {
+        label: tidyTitle(resolved.video.title),
+        text: "found it, waiting its turn.",
+      });
+      return resolved;
+    })
+  );
+  const resolved = resolutions.map((result) => result.value ?? null);
+
+  const queue = [];
+  resolutions.forEach((result, index) => {
+    if (result.status === "rejected") {
+      outcome.failed.push(toFailure(index, result.reason));
+      return;
+    }
+    const { video } = result.value;
+    const duplicate = findDuplicate(video, index, resolved, force);
+    if (duplicate) {
+      board.update(index, { status: "skipped", text: duplicate.reason });
+      outcome.skipped.push({
+        index,
+        entry: entries[index],
+        videoId: video.videoId,
+        ...duplicate,
+      });
+      return;
+    }
+    queue.push(index);
+  });
+
+  const jobNames = assignJobNames(queue, resolved);
+  const results = await runWithConcurrency(
+    queue,
+    jobs,
+    tracked(async (index) => {
+      const report = (text) =>
+        board.update(index, { status: "running", text });
+      const take = await isolateEntry(
+        resolved[index],
+        jobNames.get(index),
+        report,
+        { separator, blend }
+      );
+      board.update(index, {
+        status: "done",
+        text: `${take.stems} drum ${
+          take.stems === 1 ? "take" : "takes"
+        } ready.`,
+      });
+      return take;
+    })
+  );
+  results.forEach((result, position) => {
+    const index = queue[position];
+    if (result.status === "rejected") {
+      outcome.failed.push(toFailure(index, result.reason));
+      return;
+    }
+    outcome.processed.push({
+      index,
+      entry: entries[index],
+      videoId: resolved[index].video.videoId,
+      ...result.value,
+    });
+  });
+
+  board.done();
+  outcome.failed.sort((a, b) => a.index - b.index);
+  summarize(outcome, entries.length);
+  return outcome;
+};
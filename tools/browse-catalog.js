@@ -1,45 +1,119 @@
 import enquirer from "enquirer";
 
 import {
+  createStatus,
   formatRelativeTime,
   formatTime,
   voice,
+  wrapLine,
 } from "../lib/ui.js";
-import { loadTakes } from "../lib/takes.js";
+import {
+  loadTakes,
+  renameTake,
+  takePlaybackOptions,
+} from "../lib/takes.js";
 import { playAudioFile } from "../lib/audio.js";
 import {
   appendTakeNotes,
+  editTakeNote,
+  moveTakeNote,
+  readTakeMetadata,
   recordTakePlayback,
+  recordTakeTitle,
+  removeTakeNote,
 } from "../lib/take-metadata.js";
+import { cleanTakeTitle } from "../lib/titles.js";
+import { toSafeJobName } from "../lib/separation.js";
 import { parseMatchInput } from "../lib/note-utils.js";
+import {
+  ensureTakeTempos,
+  formatTempo,
+  needsTempoAnalysis,
+} from "../lib/tempo.js";
+import {
+  ADDED_WITHIN_OPTIONS,
+  SORT_OPTIONS,
+  clearCatalogFilters,
+  describeCatalogView,
+  filterTakes,
+  formatBpmRange,
+  formatDurationRange,
+  hasActiveFilters,
+  parseBpmRange,
+  parseDurationRange,
+  readCatalogView,
+  saveCatalogView,
+  searchTakes,
+  sortTakes,
+} from "../lib/catalog-view.js";
 import { logStage, logDebug } from "../lib/debug.js";
+import { openMixer } from "./mixer.js";
+import { exportTakeFlow } from "./export-take.js";
+import { archiveTakeFlow, browseArchive } from "./archive-takes.js";
+import { listArchivedTakes } from "../lib/archive.js";
+
+const { Select, Input, AutoComplete, Confirm } = enquirer;
 
-const { Select, Input } = enquirer;
+const CATALOG_EMPTY = {
+  matches: "no matches logged yet. add one after your next jam.",
+  full: "no processed takes yet. find one first.",
+};
+
+// enquirer highlights matches by turning the raw input into a regex, which
+// breaks on "(" and friends. fuzzy hits aren't substrings anyway, so skip it.
+class CatalogSearch extends AutoComplete {
+  async render() {
+    return Select.prototype.render.call(this);
+  }
+}
 
 export const browseCatalog = async (options = {}) => {
   logStage("CATALOG", "open", options.matchesOnly ? "matches-only" : "full");
   let takes = await loadViewTakes(options);
+  if (!takes.length && !options.matchesOnly && listArchivedTakes().length) {
+    voice.say("every take is archived or deleted right now.");
+    await browseArchive();
+    takes = await loadViewTakes(options);
+  }
   if (!takes.length) {
-    voice.say(
-      options.matchesOnly
-        ? "no matches logged yet. add one after your next jam."
-        : "no processed takes yet. find one first."
-    );
+    voice.say(options.matchesOnly ? CATALOG_EMPTY.matches : CATALOG_EMPTY.full);
     return;
   }
 
+  let view = readCatalogView();
   let keepBrowsing = true;
+  let focusTakeId = options.focusTakeId ?? null;
   while (keepBrowsing) {
-    const selected = await promptTakeSelection(
-      takes,
-      options.matchesOnly
-        ? `choose a matched take (${takes.length})`
-        : `choose a take (${takes.length})`
-    );
-    if (!selected) {
+    const focused = focusTakeId
+      ? takes.find((take) => take.id === focusTakeId)
+      : null;
+    focusTakeId = null;
+    const visible = applyCatalogView(takes, view, options);
+    const selected =
+      focused ??
+      (await promptTakeSelection(
+        visible,
+        options.matchesOnly
+          ? `choose a matched take (${visible.length}/${takes.length})`
+          : `choose a take (${visible.length}/${takes.length})`,
+        view
+      ));
+    if (!selected || selected === "__back") {
       keepBrowsing = false;
       continue;
     }
+    if (selected === "__view") {
+      view = await promptCatalogView(view);
+      continue;
+    }
+    if (selected === "__archive") {
+      focusTakeId = await browseArchive();
+      takes = await loadViewTakes(options);
+      if (!takes.length) {
+        keepBrowsing = false;
+      }
+      continue;
+    }
     logStage(
       "CATALOG",
       "take-selected",
@@ -55,6 +129,29 @@ export const browseCatalog = async (options = {}) => {
       case "note":
         await addMatchNote(selected);
         break;
+      case "notes":
+        await manageMatchNotes(selected);
+        break;
+      case "mix":
+        await openMixer(selected.folderPath, selected.drumFiles, {
+          title: selected.title,
+        });
+        break;
+      case "export":
+        await exportTakeFlow(selected);
+        break;
+      case "rename":
+        await renameSelectedTake(selected);
+        break;
+      case "archive":
+        await archiveTakeFlow(selected, "archived");
+        break;
+      case "delete":
+        await archiveTakeFlow(selected, "deleted");
+        break;
+      case "details":
+        showTakeDetails(selected);
+        break;
       case "back":
       default:
         break;
@@ -64,9 +161,7 @@ export const browseCatalog = async (options = {}) => {
     logStage("CATALOG", "list-refreshed", takes.length);
     if (!takes.length) {
       voice.say(
-        options.matchesOnly
-          ? "no matches logged yet. add one after your next jam."
-          : "no processed takes yet. find one first."
+        options.matchesOnly ? CATALOG_EMPTY.matches : CATALOG_EMPTY.full
       );
       keepBrowsing = false;
     }
@@ -87,32 +182,111 @@ const loadViewTakes = async (options) => {
           ? b.lastNotedAt.getTime()
           : 0;
         if (aTime === bTime) {
-          return b.updatedAt.getTime() - a.updatedAt.getTime();
+          return b.addedAt.getTime() - a.addedAt.getTime();
         }
         return bTime - aTime;
       });
     logStage("CATALOG", "filtered-matches", takes.length);
   }
-  return takes;
+  return analyzeTempos(takes);
 };
 
-const promptTakeSelection = async (takes, message) => {
-  const selectPrompt = new Select({
+let tempoAnalysisUnavailable = false;
+
+// new takes get their tempo read the first time the catalog sees them
+const analyzeTempos = async (takes) => {
+  if (tempoAnalysisUnavailable || !takes.some(needsTempoAnalysis)) {
+    return takes;
+  }
+  const tempoSpinner = createStatus("listening for the tempo…");
+  try {
+    const analyzed = await ensureTakeTempos(takes, {
+      onProgress: (take, index, total) =>
+        tempoSpinner.update({
+          text: wrapLine(
+            `listening for the tempo (${index + 1}/${total}) · ${take.title}`
+          ),
+        }),
+    });
+    tempoSpinner.success({ text: wrapLine("tempos are in.") });
+    return analyzed;
+  } catch (error) {
+    tempoSpinner.error({
+      text: wrapLine("couldn't read tempos, so they'll stay hidden."),
+    });
+    voice.hint(error.message);
+    tempoAnalysisUnavailable = true;
+    return takes;
+  }
+};
+
+const applyCatalogView = (takes, view, options) => {
+  const filtered = filterTakes(takes, view.filters);
+  // the matches view is already ordered by the latest note
+  if (options.matchesOnly && view.sort === "recent") {
+    return filtered;
+  }
+  return sortTakes(filtered, view.sort);
+};
+
+const promptTakeSelection = async (takes, message, view) => {
+  const archivedCount = listArchivedTakes().length;
+  voice.hint(
+    `${describeCatalogView(view)} · type to search titles and matches`
+  );
+  const searchPrompt = new CatalogSearch({
     message,
+    limit: 10,
     choices: [
       ...takes.map((take) => ({
-        name: formatTakeChoice(take),
+        name: take.id,
+        message: formatTakeChoice(take),
         value: take.id,
         take,
       })),
       {
-        name: "← back",
+        name: "__view",
+        message: hasActiveFilters(view)
+          ? "⚙ sort & filters (on)"
+          : "⚙ sort & filters",
+        value: "__view",
+      },
+      ...(archivedCount
+        ? [
+            {
+              name: "__archive",
+              message: `archived & deleted takes (${archivedCount})`,
+              value: "__archive",
+            },
+          ]
+        : []),
+      {
+        name: "__back",
+        message: "← back",
         value: "__back",
       },
     ],
+    suggest(input, choices) {
+      const takeChoices = choices.filter((choice) => choice.take);
+      const byId = new Map(
+        takeChoices.map((choice) => [choice.take.id, choice])
+      );
+      const ranked = searchTakes(
+        takeChoices.map((choice) => choice.take),
+        input
+      );
+      return [
+        ...ranked.map((take) => byId.get(take.id)),
+        ...choices.filter((choice) => !choice.take),
+      ];
+    },
     result(value) {
       logStage("CATALOG", "take-selection-value", value);
-      if (value === "__back") return null;
+      // enquirer swaps a null result back for the raw value, so the special
+      // choices come back as their own names
+      if (value === "__back") return "__back";
+      if (value === "__view") return "__view";
+      if (value === "__archive") return "__archive";
       const choice = this.find(value);
       const resolved =
         choice?.take ?? takes.find((candidate) => candidate.id === value);
@@ -125,7 +299,145 @@ const promptTakeSelection = async (takes, message) => {
     },
   });
 
-  return selectPrompt.run();
+  return searchPrompt.run();
+};
+
+const onOff = (value) => (value ? "on" : "off");
+
+const promptCatalogView = async (initialView) => {
+  let view = initialView;
+  for (;;) {
+    const { filters } = view;
+    const addedOption = ADDED_WITHIN_OPTIONS.find(
+      (option) => option.days === filters.addedWithinDays
+    );
+    const viewPrompt = new Select({
+      message: "sort & filters",
+      choices: [
+        {
+          name: "sort",
+          message: `sort: ${
+            SORT_OPTIONS.find((option) => option.name === view.sort)?.message
+          }`,
+        },
+        {
+          name: "neverPlayed",
+          message: `never played: ${onOff(filters.neverPlayed)}`,
+        },
+        {
+          name: "hasMatches",
+          message: `has matches: ${onOff(filters.hasMatches)}`,
+        },
+        {
+          name: "duration",
+          message: `length: ${formatDurationRange(filters)}`,
+        },
+        {
+          name: "tempo",
+          message: `tempo: ${formatBpmRange(filters)}`,
+        },
+        {
+          name: "added",
+          message: `added: ${addedOption?.message ?? "any time"}`,
+        },
+        { name: "clear", message: "clear filters" },
+        { name: "done", message: "done" },
+      ],
+    });
+    const answer = await viewPrompt.run();
+    logStage("CATALOG", "view-choice", answer);
+
+    switch (answer) {
+      case "sort":
+        view = {
+          ...view,
+          sort: await new Select({
+            message: "sort by",
+            choices: SORT_OPTIONS,
+            initial: Math.max(
+              SORT_OPTIONS.findIndex((option) => option.name === view.sort),
+              0
+            ),
+          }).run(),
+        };
+        break;
+      case "neverPlayed":
+      case "hasMatches":
+        view = {
+          ...view,
+          filters: { ...filters, [answer]: !filters[answer] },
+        };
+        break;
+      case "duration":
+        view = {
+          ...view,
+          filters: { ...filters, ...(await promptDurationRange()) },
+        };
+        break;
+      case "tempo":
+        view = {
+          ...view,
+          filters: { ...filters, ...(await promptBpmRange()) },
+        };
+        break;
+      case "added": {
+        const added = await new Select({
+          message: "added",
+          choices: ADDED_WITHIN_OPTIONS.map(({ name, message }) => ({
+            name,
+            message,
+          })),
+        }).run();
+        view = {
+          ...view,
+          filters: {
+            ...filters,
+            addedWithinDays:
+              ADDED_WITHIN_OPTIONS.find((option) => option.name === added)
+                ?.days ?? null,
+          },
+        };
+        break;
+      }
+      case "clear":
+        view = clearCatalogFilters(view);
+        break;
+      case "done":
+      default:
+        return view;
+    }
+    view = { ...view, ...saveCatalogView(view) };
+  }
+};
+
+const promptDurationRange = async () => {
+  const rangePrompt = new Input({
+    message: "length range (e.g. 2-5, 1:30-, 3 for close to it, empty for any)",
+    validate: (value) => {
+      try {
+        parseDurationRange(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return parseDurationRange(await rangePrompt.run());
+};
+
+const promptBpmRange = async () => {
+  const rangePrompt = new Input({
+    message: "tempo range (e.g. 90-110, 96 for close to it, empty for any)",
+    validate: (value) => {
+      try {
+        parseBpmRange(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return parseBpmRange(await rangePrompt.run());
 };
 
 const promptTakeAction = async (take) => {
@@ -141,6 +453,37 @@ const promptTakeAction = async (take) => {
         name: "note",
         message: "add a match note",
       },
+      {
+        name: "notes",
+        message: "edit match notes",
+        disabled: !take.notes?.length,
+      },
+      {
+        name: "mix",
+        message: "mix the stems",
+        disabled: take.drumFiles.length < 2,
+      },
+      {
+        name: "export",
+        message: "export it",
+        disabled: !take.primaryFile,
+      },
+      {
+        name: "details",
+        message: "where it came from",
+      },
+      {
+        name: "rename",
+        message: "rename it",
+      },
+      {
+        name: "archive",
+        message: "archive it (hide it from the catalog)",
+      },
+      {
+        name: "delete",
+        message: "delete it",
+      },
       {
         name: "back",
         message: "back",
@@ -156,8 +499,11 @@ const formatTakeChoice = (take) => {
   const durationLabel = take.durationSeconds
     ? formatTime(take.durationSeconds)
     : "??:??";
-  const age = formatRelativeTime(take.updatedAt);
-  let line = `${take.title} · ${durationLabel} · ${age}`;
+  const age = formatRelativeTime(take.addedAt);
+  const tempoLabel = formatTempo(take.tempo);
+  let line = [take.title, durationLabel, tempoLabel, age]
+    .filter(Boolean)
+    .join(" · ");
   if (take.notes?.length) {
     const notedSuffix = take.lastNotedAt
       ? ` · noted ${formatRelativeTime(take.lastNotedAt)}`
@@ -169,15 +515,78 @@ const formatTakeChoice = (take) => {
   return line;
 };
 
+const formatDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? null
+    : `${date.toISOString().slice(0, 10)} (${formatRelativeTime(date)})`;
+};
+
+const showTakeDetails = (take) => {
+  const { source, processing } = take;
+  const rows = [];
+  const addRow = (label, value) => {
+    if (value !== null && value !== undefined && value !== "") {
+      rows.push(`${label.padEnd(10)} ${value}`);
+    }
+  };
+
+  if (source) {
+    addRow("source", source.type === "local" ? "local file" : source.type);
+    addRow("title", source.originalTitle);
+    addRow("search", source.query ? `“${source.query}”` : null);
+    addRow("link", source.url);
+    addRow("file", source.path);
+    addRow(
+      "length",
+      source.durationSeconds ? formatTime(source.durationSeconds) : null
+    );
+  } else {
+    rows.push("source     not recorded (older take)");
+  }
+
+  if (processing) {
+    addRow(
+      "studio",
+      [processing.separator, processing.workflow].filter(Boolean).join(" · ")
+    );
+    addRow("job", processing.jobId);
+    addRow("processed", formatDate(processing.processedAt));
+    addRow("stems", processing.stems.join(", "));
+  }
+
+  if (take.tempo?.bpm) {
+    addRow(
+      "tempo",
+      take.tempo.manual
+        ? `${formatTempo(take.tempo)} (set by hand)`
+        : `${formatTempo(take.tempo)} (confidence ${Math.round(
+            take.tempo.confidence * 100
+          )}%)`
+    );
+  }
+  addRow("mixes", take.mixes?.map((mix) => mix.name).join(", "));
+  addRow("folder", take.id);
+  addRow("played", formatDate(take.lastPlayedAt));
+  addRow("matches", take.notes?.join(" · "));
+
+  voice.say(take.title);
+  rows.forEach((row) => voice.hint(row));
+};
+
 const playSelectedTake = async (take) => {
   if (!take.primaryFile) {
     voice.warn("no drum take ready for that selection.");
     return;
   }
   logStage("CATALOG", "play-start", take.primaryFile);
-  await playAudioFile(take.primaryFile);
+  const playback = await playAudioFile(
+    take.primaryFile,
+    takePlaybackOptions(take)
+  );
   try {
-    await recordTakePlayback(take.folderPath);
+    await recordTakePlayback(take.folderPath, playback);
   } catch {
     // ignore metadata errors to keep playback flowing
   } finally {
@@ -196,6 +605,39 @@ const addMatchNote = async (take) => {
   voice.success("saved it inside the catalog.");
 };
 
+const renameSelectedTake = async (take) => {
+  const titlePrompt = new Input({
+    message: `new title (empty goes back to “${take.folderTitle}”)`,
+    initial: cleanTakeTitle(take.title),
+  });
+  const title = (await titlePrompt.run()).trim();
+  if (!title) {
+    await recordTakeTitle(take.folderPath, null);
+    voice.success(`it's ${take.folderTitle} again.`);
+    return;
+  }
+
+  let renameFolder = false;
+  if (toSafeJobName(title) !== take.id) {
+    const folderPrompt = new Confirm({
+      message: "rename its folder to match?",
+      initial: false,
+    });
+    renameFolder = await folderPrompt.run();
+  }
+  if (title === take.title && !renameFolder) {
+    voice.hint("same title, nothing changed.");
+    return;
+  }
+  logStage("CATALOG", "rename", { take: take.id, title, renameFolder });
+  try {
+    await renameTake(take, title, { renameFolder });
+    voice.success(`renamed it to ${title}.`);
+  } catch (error) {
+    voice.warn(error.message);
+  }
+};
+
 const promptMatchNotes = async () => {
   const inputPrompt = new Input({
     message: "what does it match? (comma or / separates many)",
@@ -205,3 +647,106 @@ const promptMatchNotes = async () => {
   logDebug("match-input", value, parsed);
   return parsed;
 };
+
+const formatNoteChoice = (note, index) => {
+  const added = note.createdAt
+    ? `added ${formatRelativeTime(new Date(note.createdAt))}`
+    : "added a while ago";
+  const edited = note.editedAt
+    ? ` · edited ${formatRelativeTime(new Date(note.editedAt))}`
+    : "";
+  return `${index + 1}. ${note.text}\n   ${added}${edited}`;
+};
+
+const manageMatchNotes = async (take) => {
+  let notes = readTakeMetadata(take.folderPath).notes;
+  while (notes.length) {
+    const notePrompt = new Select({
+      message: `match notes (${take.title})`,
+      choices: [
+        ...notes.map((note, index) => ({
+          name: String(index),
+          message: formatNoteChoice(note, index),
+        })),
+        { name: "__done", message: "done" },
+      ],
+    });
+    const answer = await notePrompt.run();
+    if (answer === "__done") {
+      return;
+    }
+
+    const index = Number(answer);
+    const action = await promptNoteAction(notes, index);
+    logStage("CATALOG", "note-action", { take: take.id, index, action });
+    try {
+      notes = (await applyNoteAction(take, notes, index, action)) ?? notes;
+    } catch (error) {
+      voice.warn(error.message);
+    }
+  }
+  voice.hint("no match notes left on this take.");
+};
+
+const promptNoteAction = async (notes, index) => {
+  const actionPrompt = new Select({
+    message: `“${notes[index].text}”`,
+    choices: [
+      { name: "edit", message: "edit it" },
+      { name: "up", message: "move up", disabled: index === 0 },
+      {
+        name: "down",
+        message: "move down",
+        disabled: index === notes.length - 1,
+      },
+      { name: "remove", message: "remove it" },
+      { name: "back", message: "back" },
+    ],
+  });
+  return actionPrompt.run();
+};
+
+// returns the updated notes, or nothing when the notes didn't change
+const applyNoteAction = async (take, notes, index, action) => {
+  switch (action) {
+    case "edit": {
+      const editPrompt = new Input({
+        message: "what does it match?",
+        initial: notes[index].text,
+      });
+      const text = (await editPrompt.run()).trim();
+      if (!text || text === notes[index].text) {
+        voice.hint("left it as it was.");
+        return null;
+      }
+      return (await editTakeNote(take.folderPath, index, text)).notes;
+    }
+    case "up":
+    case "down":
+      return (
+        await moveTakeNote(
+          take.folderPath,
+          index,
+          action === "up" ? index - 1 : index + 1
+        )
+      ).notes;
+    case "remove": {
+      const confirmPrompt = new Confirm({
+        message: `remove “${notes[index].text}”?`,
+        initial: false,
+      });
+      if (!(await confirmPrompt.run())) {
+        return null;
+      }
+      const { notes: remaining } = await removeTakeNote(
+        take.folderPath,
+        index
+      );
+      voice.success("removed it.");
+      return remaining;
+    }
+    case "back":
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,1064 @@
+import path from "path";
+
+import { DOWNLOADS_DIR, ROOT_DIR, ensureDirectory } from "../lib/paths.js";
+import {
+  EXIT_CODES,
+  parseArgs,
+  parsePositiveInteger,
+  parsePositiveIntegerList,
+  usageError,
+} from "../lib/args.js";
+import {
+  formatRelativeTime,
+  formatTime,
+  jsonMode,
+  tidyTitle,
+  voice,
+  writeJson,
+} from "../lib/ui.js";
+import {
+  searchVideos,
+  describeYoutubeSource,
+  fetchVideosByIds,
+  listPlaylistVideos,
+  parseYoutubeLink,
+} from "../lib/youtube.js";
+import { playAudioFile } from "../lib/audio.js";
+import { SEPARATOR_NAMES, getSeparator } from "../lib/separation.js";
+import { clearPendingJobs, listPendingJobs } from "../lib/job-journal.js";
+import {
+  findTakesByVideoId,
+  loadTakes,
+  renameTake,
+  resolveTake,
+  takePlaybackOptions,
+} from "../lib/takes.js";
+import {
+  appendTakeNotes,
+  recordTakePlayback,
+  recordTakeTitle,
+} from "../lib/take-metadata.js";
+import { cleanTakeTitle } from "../lib/titles.js";
+import {
+  applyCatalogImport,
+  toCatalogRecord,
+  exportCatalog,
+  formatFromPath,
+  parseCatalogFormat,
+  planCatalogImport,
+  readCatalogFile,
+} from "../lib/catalog-share.js";
+import { parseMatchInput } from "../lib/note-utils.js";
+import {
+  filterTakes,
+  normalizeCatalogView,
+  parseBpmRange,
+} from "../lib/catalog-view.js";
+import {
+  ensureTakeTempos,
+  formatTempo,
+  parseManualBpm,
+  setManualTempo,
+} from "../lib/tempo.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_NAMES,
+  parseBitrate,
+  parseExportFormat,
+  parseTargetLufs,
+  readExportSettings,
+  saveExportSettings,
+} from "../lib/export.js";
+import {
+  LOCAL_AUDIO_EXTENSIONS,
+  collectLocalAudioFiles,
+} from "../lib/local-audio.js";
+import {
+  CONFIG_FILE,
+  getConfig,
+  listConfig,
+  resolveConfig,
+  setConfigValue,
+  unsetConfigValue,
+} from "../lib/config.js";
+import { listLanAddresses, startCatalogServer } from "../lib/server.js";
+import { logStage } from "../lib/debug.js";
+import {
+  finishTake,
+  isolateDrums,
+  processVideos,
+  pullVideoAudio,
+} from "./find-drums.js";
+import { rememberTake } from "./remember-take.js";
+import { processBatch, readBatchList } from "./batch-drums.js";
+import { importLocalFiles } from "./import-audio.js";
+import { describePendingJob, resumePendingJobs } from "./resume-jobs.js";
+import { runTakeExport } from "./export-take.js";
+import { reportCatalogImport } from "./share-catalog.js";
+import {
+  findTakesMatchingNote,
+  playPracticeQueue,
+} from "./practice-queue.js";
+
+const SEPARATOR_HELP = [
+  `  --separator <name>  ${SEPARATOR_NAMES.join(
+    " or "
+  )} (default: the separator.default setting)`,
+  "",
+  "the local separator runs separator.localCommand with {input} and {output}",
+  "filled in, e.g. demucs --two-stems=drums -o {output} {input}",
+];
+
+const HELP = {
+  main: [
+    "usage: bata [command] [options]",
+    "",
+    "commands:",
+    "  find <query|url>       search youtube, pull audio and isolate drums",
+    "  import <path>          isolate drums from a local file or folder",
+    "  batch [file]           isolate a whole list of songs, a few at a time",
+    "  resume                 pick up studio jobs that didn't finish",
+    "  list                   list processed takes",
+    "  play <take-id>         play a take from the catalog",
+    "  note <take-id> <text>  add match notes to a take",
+    "  rename <take-id>       give a take a cleaner title",
+    "  export <take-id>       render a take to mp3, flac, ogg or wav",
+    "  queue <take-id...>     play several takes back to back",
+    "  catalog export|import  share titles and notes with your team",
+    "  config list|get|set    see or change settings like the library folder",
+    "  serve                  browse and play the catalog from a browser",
+    "  remember               pick a take and note what it matches",
+    "  help [command]         show help for a command",
+    "",
+    "run bata without a command to open the menu.",
+    "global options: --debug, --help, --set <key=value> (one run only),",
+    "  --json (one json object per line on stdout, messages on stderr)",
+  ],
+  find: [
+    "usage: bata find <query|url> [options]",
+    "",
+    "youtube video links skip the search. playlist links need --pick or --all.",
+    "",
+    "options:",
+    "  --pick <n>    which result to use (default 1, playlists take 1,3,5)",
+    "  --all         every video in the playlist",
+    "  --playlist    use the playlist when a video link carries one",
+    "  --force       isolate again even if the video is already a take",
+    "  --max <n>     how many results to ask youtube for (search.maxResults)",
+    "  --list        print the results and stop",
+    "  --blend       blend multiple stems into one take",
+    "  --no-play     skip playback when the take is ready",
+    ...SEPARATOR_HELP,
+  ],
+  import: [
+    "usage: bata import <path> [options]",
+    "",
+    `accepts ${LOCAL_AUDIO_EXTENSIONS.join("/")} files or a folder of them.`,
+    "",
+    "options:",
+    "  --blend       blend multiple stems into one take",
+    "  --no-play     skip playback when a single take is ready",
+    ...SEPARATOR_HELP,
+  ],
+  batch: [
+    "usage: bata batch [file] [options]",
+    "",
+    "reads one search or youtube video link per line from the file, or from",
+    "stdin when there's no file (or it's -). blank lines and # comments are",
+    "skipped, and so are songs already in the catalog.",
+    "",
+    "options:",
+    "  --jobs <n>    songs at once (default: the batch.jobs setting)",
+    "  --force       isolate songs that are already takes again",
+    "  --blend       blend multiple stems into one take",
+    ...SEPARATOR_HELP,
+  ],
+  resume: [
+    "usage: bata resume [options]",
+    "",
+    "options:",
+    "  --list        print pending jobs and stop",
+    "  --forget      drop every pending job from the journal",
+    "  --blend       blend multiple stems into one take",
+    "  --no-play     skip playback when a single take is ready",
+  ],
+  list: [
+    "usage: bata list [options]",
+    "",
+    "options:",
+    "  --matches          only takes with match notes",
+    "  --tempo <range>    only takes in a tempo range, e.g. 90-110 or 96",
+    "                     (works out any tempos the catalog hasn't yet)",
+    "",
+    "one take per line, tab separated: id, length, updated, notes, tempo,",
+    "title. new columns only ever go on the end; --json has everything.",
+  ],
+  play: [
+    "usage: bata play <take-id> [options]",
+    "",
+    "options:",
+    "  --bpm <n|auto>   set the take's tempo for the click and count-in,",
+    "                   kept over detection until you set it back to auto",
+  ],
+  note: [
+    "usage: bata note <take-id> <matches>",
+    "",
+    'matches are split on commas or slashes: "song a, song b"',
+  ],
+  rename: [
+    "usage: bata rename <take-id> [title] [options]",
+    "",
+    "options:",
+    "  --clean       strip youtube noise like (official video) from the title",
+    "  --reset       go back to the title from the folder name",
+    "  --folder      rename the take's folder to match as well",
+  ],
+  export: [
+    "usage: bata export <take-id> [options]",
+    "",
+    "options:",
+    `  --format <f>    ${EXPORT_FORMAT_NAMES.join(", ")}`,
+    "  --bitrate <k>   kbps for mp3 and ogg, e.g. 192",
+    "  --lufs <n>      loudness target, e.g. -14",
+    "  --mix <name>    export a saved mix instead of the take",
+    "  --out <dir>     export folder, relative to the bata folder",
+    "",
+    "anything left out falls back to what you used last time. the folder",
+    "is --out, else the export.dir setting, else the last folder used.",
+  ],
+  queue: [
+    "usage: bata queue [take-id...] [options]",
+    "",
+    "options:",
+    "  --matching <text>   queue every take with a note containing text",
+    "  --shuffle           start in shuffled order",
+    "  --repeat            start over when the queue runs out",
+    "",
+    "while it plays: n next · p previous · r repeat · s shuffle",
+  ],
+  catalog: [
+    "usage: bata catalog export <file> [options]",
+    "       bata catalog import <file> [options]",
+    "",
+    "export writes titles, sources, lengths, tempos, notes and play stats.",
+    "import merges notes (and missing titles or sources) into takes with the",
+    "same youtube video, or else the same title. disagreements are reported",
+    "and left alone.",
+    "",
+    "options:",
+    "  --format <f>   json or csv (default: from the file name, else json)",
+    "  --matches      export only takes with match notes",
+    "  --dry-run      show what an import would change and stop",
+  ],
+  config: [
+    "usage: bata config list",
+    "       bata config get <key>",
+    "       bata config set <key> <value>",
+    "       bata config unset <key>",
+    "",
+    "settings layer up: defaults, then the config file, then env vars, then",
+    "--set key=value on the command line. set and unset edit the config file.",
+    "point library.dir at a shared folder to share one library with the team.",
+    `config file: ${CONFIG_FILE} (BATA_CONFIG moves it)`,
+  ],
+  serve: [
+    "usage: bata serve [options]",
+    "",
+    "serves a page for listing, filtering and playing takes, plus json at",
+    "/api/takes. match notes added there land in the catalog like bata note.",
+    "",
+    "options:",
+    "  --port <n>    port to listen on (default: the server.port setting)",
+    "  --lan         let phones and tablets on your network connect",
+    "",
+    "without --lan only this computer can reach it. anyone on the network",
+    "can add notes while --lan is on. ctrl+c stops the server.",
+  ],
+  remember: ["usage: bata remember"],
+  help: ["usage: bata help [command]"],
+};
+
+// the player and the pickers need a terminal, which --json gives up
+const INTERACTIVE_COMMANDS = ["play", "queue", "remember"];
+
+// with --json each command ends on one result line; handlers add their data
+let jsonResult = {};
+
+const recordResult = (fields) => {
+  Object.assign(jsonResult, fields);
+};
+
+const printHelp = (command = "main") => {
+  const lines = HELP[command] ?? HELP.main;
+  if (jsonMode) {
+    recordResult({ help: lines });
+    return;
+  }
+  console.log(lines.join("\n"));
+};
+
+const pickSeparator = (value) => {
+  if (value && !SEPARATOR_NAMES.includes(value.trim().toLowerCase())) {
+    throw usageError(
+      `unknown separator "${value}". try ${SEPARATOR_NAMES.join(" or ")}.`
+    );
+  }
+  return getSeparator(value).name;
+};
+
+const requireTake = async (takeId) => {
+  if (!takeId) {
+    throw usageError("tell me which take (use bata list to see ids).");
+  }
+  const take = resolveTake(await loadTakes(), takeId);
+  if (!take) {
+    throw new Error(`no take matches "${takeId}".`);
+  }
+  return take;
+};
+
+const pickPlaylistVideos = (videos, flags) => {
+  if (flags.all) {
+    return videos;
+  }
+  const picks = parsePositiveIntegerList(flags.pick, "--pick");
+  const outOfRange = picks.find((pick) => pick > videos.length);
+  if (outOfRange) {
+    throw usageError(
+      `the playlist has ${videos.length} videos, so --pick ${outOfRange} is out of range.`
+    );
+  }
+  return picks.map((pick) => videos[pick - 1]);
+};
+
+const runFind = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["list", "blend", "play", "all", "playlist", "force"],
+    strings: ["pick", "max", "separator"],
+  });
+  if (flags.help) {
+    printHelp("find");
+    return EXIT_CODES.ok;
+  }
+
+  const query = positionals.join(" ").trim();
+  if (!query) {
+    throw usageError("tell me what to search for.");
+  }
+  const link = parseYoutubeLink(query);
+  const playlistMode = Boolean(
+    link?.playlistId && (!link.videoId || flags.playlist)
+  );
+
+  if (playlistMode && !flags.all && !flags.pick && !flags.list) {
+    throw usageError("that's a playlist. use --pick 1,3 or --all.");
+  }
+
+  ensureDirectory(DOWNLOADS_DIR);
+  let videos;
+  if (playlistMode) {
+    videos = await listPlaylistVideos(link.playlistId);
+  } else if (link) {
+    videos = await fetchVideosByIds([link.videoId]);
+  } else {
+    const pick = flags.pick ? parsePositiveInteger(flags.pick, "--pick") : 1;
+    const maxResults = flags.max
+      ? parsePositiveInteger(flags.max, "--max")
+      : Math.max(getConfig("search.maxResults"), pick);
+    videos = await searchVideos(query, maxResults);
+  }
+  logStage("CLI", "results", videos.length);
+  if (!videos.length) {
+    throw new Error(
+      link
+        ? "that link has nothing i can pull."
+        : "couldn't find anything for that search."
+    );
+  }
+
+  if (flags.list) {
+    recordResult({
+      videos: videos.map((video, index) => ({
+        pick: index + 1,
+        videoId: video.videoId,
+        title: tidyTitle(video.title),
+        durationSeconds: video.durationSeconds ?? null,
+      })),
+    });
+    if (jsonMode) {
+      return EXIT_CODES.ok;
+    }
+    videos.forEach((video, index) => {
+      const durationLabel = formatTime(video.durationSeconds);
+      console.log(
+        `${index + 1}\t${video.videoId}\t${durationLabel}\t${tidyTitle(
+          video.title
+        )}`
+      );
+    });
+    return EXIT_CODES.ok;
+  }
+
+  const separator = pickSeparator(flags.separator);
+  const finishOptions = {
+    blend: flags.blend ?? false,
+    play: flags.play ?? !jsonMode,
+  };
+  const toVideoIds = (list) => list.map((video) => video.videoId);
+
+  if (playlistMode) {
+    const { processed, skipped, failed } = await processVideos(
+      pickPlaylistVideos(videos, flags),
+      {
+        ...finishOptions,
+        separator,
+        existing: flags.force ? "reprocess" : "skip",
+      }
+    );
+    recordResult({
+      processed: toVideoIds(processed),
+      skipped: toVideoIds(skipped),
+      failed: toVideoIds(failed),
+    });
+    return failed.length ? EXIT_CODES.failure : EXIT_CODES.ok;
+  }
+
+  const pick = flags.pick ? parsePositiveInteger(flags.pick, "--pick") : 1;
+  const selectedVideo = videos[pick - 1];
+  if (!selectedVideo) {
+    throw usageError(
+      `only found ${videos.length} takes, so --pick ${pick} is out of range.`
+    );
+  }
+
+  const [existingTake] = findTakesByVideoId(selectedVideo.videoId);
+  if (existingTake && !flags.force) {
+    voice.warn(`you already have drums for this video: ${existingTake.id}`);
+    voice.hint("use --force to isolate it again.");
+    recordResult({ skipped: [selectedVideo.videoId], take: existingTake.id });
+    return EXIT_CODES.ok;
+  }
+
+  const downloadedFile = await pullVideoAudio(selectedVideo);
+  const studioResult = await isolateDrums(
+    downloadedFile,
+    selectedVideo.title,
+    {
+      source: describeYoutubeSource(selectedVideo, {
+        query: link ? null : query,
+      }),
+      separator,
+    }
+  );
+  const finished = await finishTake(studioResult, finishOptions);
+  recordResult({
+    [finished ? "processed" : "failed"]: [selectedVideo.videoId],
+    take: finished ? path.basename(finished.jobOutputDir) : null,
+  });
+  return finished ? EXIT_CODES.ok : EXIT_CODES.failure;
+};
+
+const runImport = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["blend", "play"],
+    strings: ["separator"],
+  });
+  if (flags.help) {
+    printHelp("import");
+    return EXIT_CODES.ok;
+  }
+
+  const inputPath = positionals.join(" ").trim();
+  if (!inputPath) {
+    throw usageError("tell me which file or folder to import.");
+  }
+  const separator = pickSeparator(flags.separator);
+  const files = collectLocalAudioFiles(inputPath);
+  if (!files.length) {
+    throw new Error(
+      `no ${LOCAL_AUDIO_EXTENSIONS.join("/")} files in that folder.`
+    );
+  }
+
+  const { imported, failed } = await importLocalFiles(files, {
+    blend: flags.blend ?? false,
+    play: flags.play ?? !jsonMode,
+    separator,
+  });
+  logStage("CLI", "imported", imported.length);
+  recordResult({ imported, failed });
+  return failed.length ? EXIT_CODES.failure : EXIT_CODES.ok;
+};
+
+const runBatch = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["blend", "force"],
+    strings: ["jobs", "separator"],
+  });
+  if (flags.help) {
+    printHelp("batch");
+    return EXIT_CODES.ok;
+  }
+
+  const file = positionals.join(" ").trim();
+  if ((!file || file === "-") && process.stdin.isTTY) {
+    throw usageError("give me a file with one song per line, or pipe it in.");
+  }
+  const jobs = flags.jobs
+    ? parsePositiveInteger(flags.jobs, "--jobs")
+    : getConfig("batch.jobs");
+  const separator = pickSeparator(flags.separator);
+  const entries = await readBatchList(file);
+  if (!entries.length) {
+    throw usageError("that list has no songs in it.");
+  }
+
+  const { processed, skipped, failed } = await processBatch(entries, {
+    jobs,
+    separator,
+    blend: flags.blend ?? false,
+    force: flags.force ?? false,
+  });
+  recordResult({ processed, skipped, failed });
+  return failed.length ? EXIT_CODES.failure : EXIT_CODES.ok;
+};
+
+const runResume = async (argv) => {
+  const { flags } = parseArgs(argv, {
+    booleans: ["list", "forget", "blend", "play"],
+  });
+  if (flags.help) {
+    printHelp("resume");
+    return EXIT_CODES.ok;
+  }
+
+  const pending = listPendingJobs();
+  if (!pending.length) {
+    voice.hint("no studio jobs waiting.");
+    recordResult({ pending: [] });
+    return EXIT_CODES.ok;
+  }
+  if (flags.list) {
+    recordResult({ pending });
+    if (jsonMode) {
+      return EXIT_CODES.ok;
+    }
+    pending.forEach((entry) =>
+      console.log(`${entry.jobId}\t${describePendingJob(entry)}`)
+    );
+    return EXIT_CODES.ok;
+  }
+  if (flags.forget) {
+    clearPendingJobs();
+    recordResult({ forgotten: pending.map((entry) => entry.jobId) });
+    voice.hint(
+      `forgot ${pending.length} pending ${
+        pending.length === 1 ? "job" : "jobs"
+      }.`
+    );
+    return EXIT_CODES.ok;
+  }
+
+  const { resumed, failed } = await resumePendingJobs(pending, {
+    blend: flags.blend ?? false,
+    play: flags.play ?? !jsonMode,
+  });
+  recordResult({
+    resumed: resumed.map((entry) => entry.jobId),
+    failed: failed.map((entry) => entry.jobId),
+  });
+  return failed.length ? EXIT_CODES.failure : EXIT_CODES.ok;
+};
+
+const runList = async (argv) => {
+  const { flags } = parseArgs(argv, {
+    booleans: ["matches"],
+    strings: ["tempo"],
+  });
+  if (flags.help) {
+    printHelp("list");
+    return EXIT_CODES.ok;
+  }
+
+  let tempoRange = null;
+  if (flags.tempo !== undefined) {
+    try {
+      tempoRange = parseBpmRange(flags.tempo);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+
+  let takes = await loadTakes();
+  if (flags.matches) {
+    takes = takes.filter((take) => take.notes?.length);
+  }
+  // analysis decodes up to two minutes of audio per take, so a plain list
+  // only shows tempos the catalog already worked out
+  if (tempoRange) {
+    takes = await ensureTakeTempos(takes);
+    takes = filterTakes(takes, {
+      ...normalizeCatalogView().filters,
+      ...tempoRange,
+    });
+  }
+  recordResult({ takes: takes.map(toCatalogRecord) });
+  if (jsonMode) {
+    return EXIT_CODES.ok;
+  }
+  if (!takes.length) {
+    voice.hint(
+      tempoRange
+        ? "nothing in that tempo range."
+        : flags.matches
+          ? "no matches logged yet."
+          : "no processed takes yet."
+    );
+    return EXIT_CODES.ok;
+  }
+
+  takes.forEach((take) => {
+    console.log(
+      `${take.id}\t${formatTime(take.durationSeconds)}\t${formatRelativeTime(
+        take.updatedAt
+      )}\t${take.notes.join(" · ")}\t${formatTempo(take.tempo) ?? "-"}\t${
+        take.title
+      }`
+    );
+  });
+  return EXIT_CODES.ok;
+};
+
+const runPlay = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, { strings: ["bpm"] });
+  if (flags.help) {
+    printHelp("play");
+    return EXIT_CODES.ok;
+  }
+
+  let bpm;
+  if (flags.bpm !== undefined) {
+    try {
+      bpm = parseManualBpm(flags.bpm);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+
+  let take = await requireTake(positionals.join(" "));
+  if (!take.primaryFile) {
+    throw new Error("no drum take ready for that selection.");
+  }
+  if (bpm !== undefined) {
+    take = { ...take, tempo: await setManualTempo(take, bpm) };
+    voice.hint(
+      bpm === null
+        ? "tempo is back to detection."
+        : `click set to ${formatTempo(take.tempo)}.`
+    );
+  }
+  const playback = await playAudioFile(
+    take.primaryFile,
+    takePlaybackOptions(take)
+  );
+  try {
+    await recordTakePlayback(take.folderPath, playback);
+  } catch {
+    // playback already happened, metadata is best effort
+  }
+  return EXIT_CODES.ok;
+};
+
+const runNote = async (argv) => {
+  const { flags, positionals } = parseArgs(argv);
+  if (flags.help) {
+    printHelp("note");
+    return EXIT_CODES.ok;
+  }
+
+  const [takeId, ...rest] = positionals;
+  const take = await requireTake(takeId);
+  const matches = parseMatchInput(rest.join(" "));
+  if (!matches.length) {
+    throw usageError("tell me what it matches.");
+  }
+  logStage("CLI", "add-note", { take: take.id, matches });
+  await appendTakeNotes(take.folderPath, matches);
+  voice.success(`saved ${matches.length} match notes on ${take.title}.`);
+  recordResult({ take: take.id, notes: matches });
+  return EXIT_CODES.ok;
+};
+
+const runRename = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["clean", "reset", "folder"],
+  });
+  if (flags.help) {
+    printHelp("rename");
+    return EXIT_CODES.ok;
+  }
+
+  const [takeId, ...rest] = positionals;
+  const take = await requireTake(takeId);
+  if (flags.reset) {
+    await recordTakeTitle(take.folderPath, null);
+    voice.success(`it's ${take.folderTitle} again.`);
+    recordResult({ take: take.id, title: take.folderTitle });
+    return EXIT_CODES.ok;
+  }
+  const title = flags.clean
+    ? cleanTakeTitle(take.title)
+    : rest.join(" ").trim();
+  if (!title) {
+    throw usageError("give it a title, or use --clean or --reset.");
+  }
+  logStage("CLI", "rename", { take: take.id, title, folder: flags.folder });
+  const folderPath = await renameTake(take, title, {
+    renameFolder: flags.folder,
+  });
+  voice.success(`renamed ${take.title} to ${title}.`);
+  recordResult({ take: path.basename(folderPath), title });
+  return EXIT_CODES.ok;
+};
+
+const runCatalog = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["matches", "dry-run"],
+    strings: ["format"],
+  });
+  if (flags.help) {
+    printHelp("catalog");
+    return EXIT_CODES.ok;
+  }
+
+  const [action, file] = positionals;
+  if (!["export", "import"].includes(action) || !file) {
+    throw usageError("use bata catalog export <file> or import <file>.");
+  }
+  let format;
+  try {
+    format = flags.format
+      ? parseCatalogFormat(flags.format)
+      : formatFromPath(file);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const filePath = path.resolve(file);
+  let takes = await loadTakes();
+
+  if (action === "export") {
+    if (flags.matches) {
+      takes = takes.filter((take) => take.notes?.length);
+    }
+    const count = exportCatalog(takes, filePath, format);
+    voice.success(`saved ${count} takes to ${file}.`);
+    recordResult({ file: filePath, format, exported: count });
+    return EXIT_CODES.ok;
+  }
+
+  const plan = planCatalogImport(readCatalogFile(filePath, format), takes);
+  reportCatalogImport(plan);
+  recordResult({
+    file: filePath,
+    format,
+    dryRun: Boolean(flags.dryRun),
+    updates: plan.updates.map(({ take, notes, title, source }) => ({
+      take: take.id,
+      notes: notes.map((note) => note.text),
+      title,
+      source: Boolean(source),
+    })),
+    unchanged: plan.unchanged.map(({ take }) => take.id),
+    conflicts: plan.conflicts.map(({ label, take, reason }) => ({
+      record: label,
+      take: take?.id ?? null,
+      reason,
+    })),
+    unmatched: plan.unmatched.map(({ label }) => label),
+  });
+  if (flags.dryRun || !plan.updates.length) {
+    return EXIT_CODES.ok;
+  }
+  await applyCatalogImport(plan);
+  voice.success(`merged into ${plan.updates.length} takes.`);
+  return EXIT_CODES.ok;
+};
+
+const formatConfigValue = (value) =>
+  value === null || value === "" ? "(not set)" : String(value);
+
+const runConfig = async (argv) => {
+  const { flags, positionals } = parseArgs(argv);
+  if (flags.help) {
+    printHelp("config");
+    return EXIT_CODES.ok;
+  }
+
+  const [action = "list", key, ...valueParts] = positionals;
+  if (action === "list") {
+    const settings = listConfig();
+    recordResult({ settings, file: CONFIG_FILE });
+    if (jsonMode) {
+      return EXIT_CODES.ok;
+    }
+    settings.forEach((setting) => {
+      console.log(
+        `${setting.key} = ${formatConfigValue(setting.value)}  ` +
+          `(${setting.source} · ${setting.env})`
+      );
+      voice.hint(setting.description);
+    });
+    voice.hint(`config file: ${CONFIG_FILE}`);
+    return EXIT_CODES.ok;
+  }
+  if (!["get", "set", "unset"].includes(action)) {
+    throw usageError("use bata config list, get, set or unset.");
+  }
+  if (!key) {
+    throw usageError(
+      `tell me which setting, e.g. bata config ${action} library.dir.`
+    );
+  }
+
+  let setting;
+  try {
+    setting = resolveConfig(key);
+    if (action === "set") {
+      if (!valueParts.length) {
+        throw new Error(`give ${key} a value.`);
+      }
+      setConfigValue(key, valueParts.join(" "));
+      setting = resolveConfig(key);
+    } else if (action === "unset") {
+      unsetConfigValue(key);
+      setting = resolveConfig(key);
+    }
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  recordResult({ setting });
+  if (action === "get") {
+    if (!jsonMode) {
+      console.log(formatConfigValue(setting.value));
+    }
+    return EXIT_CODES.ok;
+  }
+  voice.success(`${key} = ${formatConfigValue(setting.value)}`);
+  if (action === "set" && setting.source !== "config file") {
+    voice.hint(`the ${setting.source} still wins for this run.`);
+  }
+  return EXIT_CODES.ok;
+};
+
+const runServe = async (argv) => {
+  const { flags } = parseArgs(argv, {
+    booleans: ["lan"],
+    strings: ["port"],
+  });
+  if (flags.help) {
+    printHelp("serve");
+    return EXIT_CODES.ok;
+  }
+
+  const port = flags.port
+    ? parsePositiveInteger(flags.port, "--port")
+    : getConfig("server.port");
+  const host = flags.lan ? "0.0.0.0" : "127.0.0.1";
+  const server = await startCatalogServer({ port, host });
+  const hosts = flags.lan ? ["localhost", ...listLanAddresses()] : [host];
+  const urls = hosts.map((address) => `http://${address}:${port}/`);
+  voice.success("the catalog is up at:");
+  urls.forEach((url) => voice.say(`  ${url}`));
+  voice.hint("ctrl+c stops it.");
+  if (jsonMode) {
+    writeJson({ type: "listening", urls });
+  }
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  voice.hint("server stopped.");
+  return EXIT_CODES.ok;
+};
+
+const runRemember = async (argv) => {
+  const { flags } = parseArgs(argv);
+  if (flags.help) {
+    printHelp("remember");
+    return EXIT_CODES.ok;
+  }
+  await rememberTake();
+  return EXIT_CODES.ok;
+};
+
+const runHelp = async (argv) => {
+  const [command] = argv.filter((arg) => !arg.startsWith("-"));
+  if (command && !HELP[command]) {
+    throw usageError(`unknown command "${command}".`);
+  }
+  printHelp(command);
+  return EXIT_CODES.ok;
+};
+
+const runExport = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    strings: ["format", "bitrate", "lufs", "mix", "out"],
+  });
+  if (flags.help) {
+    printHelp("export");
+    return EXIT_CODES.ok;
+  }
+
+  const defaults = readExportSettings();
+  let settings;
+  try {
+    const format = flags.format
+      ? parseExportFormat(flags.format)
+      : defaults.format;
+    const { bitrates, defaultBitrate } = EXPORT_FORMATS[format];
+    let bitrate = defaults.bitrate;
+    if (flags.bitrate !== undefined) {
+      bitrate = parseBitrate(format, flags.bitrate);
+    } else if (bitrates && !bitrates.includes(bitrate)) {
+      bitrate = defaultBitrate;
+    }
+    settings = {
+      format,
+      bitrate,
+      lufs:
+        flags.lufs !== undefined ? parseTargetLufs(flags.lufs) : defaults.lufs,
+      // relative like export.dir and the export prompt, not to the cwd
+      folder: flags.out ? path.resolve(ROOT_DIR, flags.out) : defaults.folder,
+    };
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const take = await requireTake(positionals.join(" "));
+  let mix = null;
+  if (flags.mix) {
+    const wanted = flags.mix.trim().toLowerCase();
+    mix =
+      take.mixes.find(
+        (candidate) =>
+          candidate.name.toLowerCase() === wanted || candidate.file === wanted
+      ) ?? null;
+    if (!mix) {
+      throw usageError(
+        take.mixes.length
+          ? `no mix called "${flags.mix}". saved mixes: ${take.mixes
+              .map((candidate) => candidate.name)
+              .join(", ")}.`
+          : `${take.title} has no saved mixes.`
+      );
+    }
+  }
+
+  if (flags.out) {
+    saveExportSettings({ folder: settings.folder });
+  }
+  const outputPath = await runTakeExport(take, { ...settings, mix });
+  recordResult({
+    take: take.id,
+    file: outputPath,
+    ...settings,
+    mix: mix?.name ?? null,
+  });
+  return EXIT_CODES.ok;
+};
+
+const runQueue = async (argv) => {
+  const { flags, positionals } = parseArgs(argv, {
+    booleans: ["shuffle", "repeat"],
+    strings: ["matching"],
+  });
+  if (flags.help) {
+    printHelp("queue");
+    return EXIT_CODES.ok;
+  }
+  if (!positionals.length && !flags.matching) {
+    throw usageError("name some takes or use --matching <text>.");
+  }
+
+  const takes = await loadTakes();
+  const queued = positionals.map((takeId) => {
+    const take = resolveTake(takes, takeId);
+    if (!take) {
+      throw new Error(`no take matches "${takeId}".`);
+    }
+    return take;
+  });
+  if (flags.matching) {
+    const matching = findTakesMatchingNote(takes, flags.matching);
+    if (!matching.length) {
+      throw new Error(`no takes have a note matching "${flags.matching}".`);
+    }
+    queued.push(...matching.filter((take) => !queued.includes(take)));
+  }
+
+  const { played } = await playPracticeQueue(queued, {
+    shuffle: flags.shuffle,
+    repeat: flags.repeat,
+  });
+  return played ? EXIT_CODES.ok : EXIT_CODES.failure;
+};
+
+const COMMANDS = {
+  find: runFind,
+  import: runImport,
+  batch: runBatch,
+  resume: runResume,
+  list: runList,
+  play: runPlay,
+  note: runNote,
+  rename: runRename,
+  export: runExport,
+  queue: runQueue,
+  catalog: runCatalog,
+  config: runConfig,
+  serve: runServe,
+  remember: runRemember,
+  help: runHelp,
+};
+
+export const hasCommand = (argv = []) =>
+  argv.some((arg) => !arg.startsWith("-")) ||
+  argv.includes("--help") ||
+  argv.includes("-h");
+
+const finishCommand = (command, exitCode) => {
+  if (jsonMode) {
+    writeJson({ type: "result", command, exitCode, ...jsonResult });
+  }
+  return exitCode;
+};
+
+export const runCli = async (argv = []) => {
+  jsonResult = {};
+  const commandIndex = argv.findIndex((arg) => !arg.startsWith("-"));
+  if (commandIndex === -1) {
+    printHelp();
+    return finishCommand("help", EXIT_CODES.ok);
+  }
+
+  const command = argv[commandIndex];
+  const handler = COMMANDS[command];
+  if (!handler) {
+    throw usageError(`unknown command "${command}". try bata help.`);
+  }
+  const rest = [
+    ...argv.slice(0, commandIndex),
+    ...argv.slice(commandIndex + 1),
+  ];
+  if (jsonMode && INTERACTIVE_COMMANDS.includes(command)) {
+    throw usageError(
+      `bata ${command} needs a terminal, so it can't do --json.`
+    );
+  }
+  logStage("CLI", "command", { command, args: rest });
+  return finishCommand(command, await handler(rest));
+};
@@ -0,0 +1,137 @@
+import path from "path";
+import enquirer from "enquirer";
+
+import { ROOT_DIR } from "../lib/paths.js";
+import { createStatus, voice, wrapLine } from "../lib/ui.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_FORMAT_NAMES,
+  exportTake,
+  parseTargetLufs,
+  readExportSettings,
+  saveExportSettings,
+} from "../lib/export.js";
+import { logStage } from "../lib/debug.js";
+
+const { Select, Input } = enquirer;
+
+const choiceIndex = (choices, name) =>
+  Math.max(
+    choices.findIndex((choice) => choice.name === name),
+    0
+  );
+
+const promptExportSource = async (take) => {
+  if (!take.mixes?.length) {
+    return null;
+  }
+  const choices = [
+    {
+      name: "__take",
+      message: `the take as it is (${path.basename(take.primaryFile)})`,
+    },
+    ...take.mixes.map((mix) => ({
+      name: mix.file,
+      message: `mix · ${mix.name}`,
+    })),
+  ];
+  const answer = await new Select({ message: "export what?", choices }).run();
+  return take.mixes.find((mix) => mix.file === answer) ?? null;
+};
+
+const promptExportSettings = async (settings) => {
+  const formatChoices = EXPORT_FORMAT_NAMES.map((name) => ({
+    name,
+    message: EXPORT_FORMATS[name].label,
+  }));
+  const format = await new Select({
+    message: "format",
+    choices: formatChoices,
+    initial: choiceIndex(formatChoices, settings.format),
+  }).run();
+
+  let { bitrate } = settings;
+  const { bitrates, defaultBitrate } = EXPORT_FORMATS[format];
+  if (bitrates) {
+    const bitrateChoices = bitrates.map((value) => ({
+      name: String(value),
+      message: `${value} kbps`,
+    }));
+    bitrate = Number(
+      await new Select({
+        message: "bitrate",
+        choices: bitrateChoices,
+        initial: choiceIndex(
+          bitrateChoices,
+          String(bitrates.includes(bitrate) ? bitrate : defaultBitrate)
+        ),
+      }).run()
+    );
+  }
+
+  const lufs = parseTargetLufs(
+    await new Input({
+      message: "loudness target in LUFS (-14 suits streaming, -23 broadcast)",
+      initial: String(settings.lufs),
+      validate: (value) => {
+        try {
+          parseTargetLufs(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    }).run()
+  );
+
+  const folder = path.resolve(
+    ROOT_DIR,
+    (
+      await new Input({
+        message: "export folder",
+        initial: path.relative(ROOT_DIR, settings.folder) || ".",
+      }).run()
+    ).trim() || settings.folder
+  );
+
+  return { format, bitrate, lufs, folder };
+};
+
+export const runTakeExport = async (take, options) => {
+  const exportSpinner = createStatus(`exporting ${take.title}…`);
+  try {
+    const outputPath = await exportTake(take, options);
+    const relativePath = path.relative(ROOT_DIR, outputPath);
+    exportSpinner.success({
+      text: wrapLine(
+        `exported to ${
+          relativePath.startsWith("..") ? outputPath : relativePath
+        }.`
+      ),
+    });
+    return outputPath;
+  } catch (error) {
+    exportSpinner.error({ text: wrapLine("the export didn't work.") });
+    throw error;
+  }
+};
+
+export const exportTakeFlow = async (take) => {
+  if (!take.primaryFile) {
+    voice.warn("that take has no drums to export yet.");
+    return;
+  }
+  const mix = await promptExportSource(take);
+  const settings = await promptExportSettings(readExportSettings());
+  logStage("EXPORT", "settings", {
+    take: take.id,
+    mix: mix?.file,
+    ...settings,
+  });
+  saveExportSettings(settings);
+  try {
+    await runTakeExport(take, { ...settings, mix });
+  } catch (error) {
+    voice.warn(error.message);
+  }
+};
@@ -1,9 +1,5 @@
-import fs from "fs";
 import path from "path";
-import { exec } from "child_process";
-import { google } from "googleapis";
 import enquirer from "enquirer";
-import Moises from "moises/sdk.js";
 
 import {
   DOWNLOADS_DIR,
@@ -17,51 +13,37 @@ import {
   tidyTitle,
   voice,
   formatTime,
+  jsonMode,
   wrapLine,
+  writeJson,
 } from "../lib/ui.js";
 import { combineDrumStems, playAudioFile } from "../lib/audio.js";
-import { collectDrumStems } from "../lib/catalog.js";
-import { logStage, logDebug, trimForLog } from "../lib/debug.js";
-import { recordTakePlayback } from "../lib/take-metadata.js";
-
-const { Input, Select, Confirm } = enquirer;
-
-const MOISES_WORKFLOW_DRUMS = "isolate_drums_bata";
-
-let youtubeClient = null;
-let moisesClient = null;
-
-const ensureClients = () => {
-  if (!process.env.YOUTUBE_API_KEY) {
-    voice.error("missing YOUTUBE_API_KEY in your .env file.");
-    throw new Error("YOUTUBE_API_KEY missing");
-  }
-  if (!process.env.MOISES_API_KEY) {
-    voice.error("missing MOISES_API_KEY in your .env file.");
-    throw new Error("MOISES_API_KEY missing");
-  }
-
-  if (!youtubeClient) {
-    youtubeClient = google.youtube({
-      version: "v3",
-      auth: process.env.YOUTUBE_API_KEY,
-    });
-  }
-
-  if (!moisesClient) {
-    moisesClient = new Moises({ apiKey: process.env.MOISES_API_KEY });
-  }
-};
+import {
+  searchVideos,
+  downloadVideoAudio,
+  describeYoutubeSource,
+  fetchVideosByIds,
+  listPlaylistVideos,
+  parseYoutubeLink,
+} from "../lib/youtube.js";
+import {
+  describeProcessing,
+  listSeparators,
+  separateDrums,
+} from "../lib/separation.js";
+import { logStage, trimForLog } from "../lib/debug.js";
+import { getConfig } from "../lib/config.js";
+import { findTakesByVideoId, takePlaybackOptions } from "../lib/takes.js";
+import { suggestTakeTitle } from "../lib/titles.js";
+import { browseCatalog } from "./browse-catalog.js";
+import { openMixer } from "./mixer.js";
+import {
+  readTakeMetadata,
+  recordTakePlayback,
+  recordTakeProvenance,
+} from "../lib/take-metadata.js";
 
-const isoDurationToSeconds = (duration) => {
-  if (!duration) return null;
-  const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-  if (!match) return null;
-  const hours = parseInt(match[1] || "0", 10);
-  const minutes = parseInt(match[2] || "0", 10);
-  const seconds = parseInt(match[3] || "0", 10);
-  return hours * 3600 + minutes * 60 + seconds;
-};
+const { Input, Select, MultiSelect, Confirm } = enquirer;
 
 const formatVideoChoice = (video, index) => {
   const durationLabel =
@@ -73,14 +55,46 @@ const formatVideoChoice = (video, index) => {
 
 const promptSearchTerm = async () => {
   voice.say("bata · drum finder");
-  voice.hint("type an artist, song, or mood");
+  voice.hint("type an artist, song, or mood, or paste a youtube link");
   const inputPrompt = new Input({
     message: "what do you feel like hearing?",
     validate: (value) =>
       value.trim().length > 0 || "say something so i can search.",
   });
-  const value = await inputPrompt.run();
-  return value.trim();
+  const value = (await inputPrompt.run()).trim();
+  const link = parseYoutubeLink(value);
+  logStage("MAIN", "search input", link ?? value);
+  return { query: value, link };
+};
+
+const promptLinkScope = async () => {
+  const scopePrompt = new Select({
+    message: "that video lives in a playlist",
+    choices: [
+      { name: "video", message: "just this video" },
+      { name: "playlist", message: "pick from the playlist" },
+    ],
+  });
+  return scopePrompt.run();
+};
+
+const promptPlaylistSelection = async (videos) => {
+  voice.hint("space picks, a picks all, enter starts");
+  const multiPrompt = new MultiSelect({
+    message: `pick the takes to isolate (${videos.length})`,
+    choices: videos.map((video, index) => ({
+      name: formatVideoChoice(video, index),
+      value: video.videoId,
+      video,
+    })),
+    validate: (value) => value.length > 0 || "pick at least one.",
+    result(names) {
+      return names
+        .map((name) => this.find(name)?.video)
+        .filter(Boolean);
+    },
+  });
+  return multiPrompt.run();
 };
 
 const promptVideoSelection = async (videos) => {
@@ -107,190 +121,15 @@ const promptConfirm = async (message, initial = true) => {
   return confirmPrompt.run();
 };
 
-const searchVideos = async (query, maxResults = 5) => {
-  ensureClients();
-  logStage("YOUTUBE", `searching "${query}" (max ${maxResults})`);
-  try {
-    const response = await youtubeClient.search.list({
-      part: ["snippet"],
-      q: query,
-      type: "video",
-      maxResults,
-    });
-
-    const items =
-      response.data.items?.map((item) => ({
-        videoId: item.id?.videoId,
-        title: item.snippet?.title,
-      })) || [];
-
-    const validItems = items.filter((item) => item.videoId && item.title);
-    if (validItems.length === 0) {
-      return [];
-    }
-
-    const ids = validItems.map((item) => item.videoId).join(",");
-    const durationsMap = new Map();
-    if (ids.length > 0) {
-      const durationResponse = await youtubeClient.videos.list({
-        part: ["contentDetails"],
-        id: ids,
-      });
-      durationResponse.data.items?.forEach((video) => {
-        const seconds = isoDurationToSeconds(
-          video.contentDetails?.duration || ""
-        );
-        durationsMap.set(video.id, seconds);
-      });
-    }
-
-    return validItems.map((item) => ({
-      ...item,
-      durationSeconds: durationsMap.get(item.videoId) ?? null,
-    }));
-  } catch (error) {
-    logStage(
-      "YOUTUBE-ERROR",
-      "details",
-      trimForLog(
-        error.response?.data?.error?.message || error.message || "unknown"
-      )
-    );
-    throw new Error(
-      error.response?.data?.error?.message ||
-        error.message ||
-        "youtube search failed"
-    );
-  }
-};
-
-const downloadVideoAudio = (videoId, title, callbacks = {}) => {
-  const { onMessage, onProgress } = callbacks;
-  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-  const safeTitle = tidyTitle(title)
-    .replace(/[\u0000-\u001F\\/?*:|"<>]/g, "_")
-    .substring(0, 100);
-  const outputPath = path.join(DOWNLOADS_DIR, `${safeTitle}.mp3`);
-
-  logStage("DOWNLOAD", `starting "${title}" (${videoId})`);
-  logStage("DOWNLOAD", "videoUrl", videoUrl);
-  logStage("DOWNLOAD", "output", outputPath);
-
-  const command = `yt-dlp -x --audio-format mp3 --output "${outputPath}" --no-check-certificates --no-warnings --force-ipv4 "${videoUrl}"`;
-  logDebug(`Running yt-dlp: ${command}`);
-
-  const stdoutChunks = [];
-  const stderrChunks = [];
-
-  return new Promise((resolve, reject) => {
-    const downloadProcess = exec(command);
-    onMessage?.("pulling audio…");
-
-    downloadProcess.stdout?.on("data", (data) => {
-      const chunk = data.toString();
-      stdoutChunks.push(chunk);
-      const percentMatch = chunk.match(/(\d+(?:\.\d+)?)%/);
-      if (percentMatch) {
-        onProgress?.(parseFloat(percentMatch[1]));
-      }
-      logDebug(chunk);
-    });
-
-    downloadProcess.stderr?.on("data", (data) => {
-      const stderrText = data.toString();
-      stderrChunks.push(stderrText);
-      logStage("DOWNLOAD-STDERR", "line", trimForLog(stderrText));
-    });
-
-    downloadProcess.on("close", (code) => {
-      logStage("DOWNLOAD", `yt-dlp exited with ${code}`);
-      logStage(
-        "DOWNLOAD-TRACE",
-        "stdout",
-        trimForLog(stdoutChunks.join("").trim())
-      );
-      logStage(
-        "DOWNLOAD-TRACE",
-        "stderr",
-        trimForLog(stderrChunks.join("").trim())
-      );
-      if (code === 0) {
-        logStage("DOWNLOAD", "file", outputPath);
-        resolve(outputPath);
-      } else {
-        reject(
-          new Error(
-            `yt-dlp exited with code ${code}. run with --debug for details.`
-          )
-        );
-      }
-    });
-
-    downloadProcess.on("error", (err) => {
-      logStage("DOWNLOAD", "spawn error", err.message);
-      reject(
-        new Error("couldn't start yt-dlp. is it installed and on your path?")
-      );
-    });
-  });
-};
-
-const processAudioWithMoises = async (filePath, jobName, callbacks = {}) => {
-  ensureClients();
-  const { onPhase } = callbacks;
-  const safeJobName = jobName
-    .replace(/[\u0000-\u001F\\/?*:|"<>]/g, "_")
-    .substring(0, 120);
-
-  try {
-    onPhase?.("sending to the studio…");
-    logStage("MOISES", "uploading file", filePath);
-    const downloadUrl = await moisesClient.uploadFile(filePath);
-    logDebug(`Temporary URL: ${downloadUrl}`);
-
-    onPhase?.("setting up the session…");
-    logStage("MOISES", "creating job", safeJobName);
-    const jobId = await moisesClient.addJob(
-      safeJobName,
-      MOISES_WORKFLOW_DRUMS,
-      {
-        inputUrl: downloadUrl,
-      }
-    );
-    logStage("MOISES", "job", jobId);
-
-    onPhase?.("ai is isolating drums…");
-    const job = await moisesClient.waitForJobCompletion(jobId);
-    logStage("MOISES", "job status", job.status);
-
-    if (job.status !== "SUCCEEDED") {
-      throw new Error(
-        `moises job ended with status ${job.status.toLowerCase()}`
-      );
-    }
-
-    onPhase?.("downloading stems…");
-    const jobOutputDir = path.join(PROCESSED_DIR, safeJobName);
-    ensureDirectory(jobOutputDir);
-    await moisesClient.downloadJobResults(job, jobOutputDir);
-    logStage("MOISES", "results saved", jobOutputDir);
-
-    const drumWavFiles = collectDrumStems(jobOutputDir);
-    logStage("MOISES", "drum stems", drumWavFiles);
-
-    return { jobId, jobOutputDir, drumWavFiles };
-  } catch (error) {
-    logStage("MOISES-ERROR", "detail", trimForLog(error?.message || error));
-    throw new Error(
-      error?.message || "moises could not finish processing that take."
-    );
-  }
-};
-
 export const findDrumsFlow = async () => {
   ensureDirectory(DOWNLOADS_DIR);
 
-  const query = await promptSearchTerm();
+  const { query, link } = await promptSearchTerm();
+  if (link) {
+    await findFromLink(link);
+    return;
+  }
+
   const searchSpinner = createStatus("looking for it…");
   let videos = [];
   try {
@@ -324,57 +163,290 @@ export const findDrumsFlow = async () => {
     trimForLog(`${selectedVideo.title} (${selectedVideo.videoId})`)
   );
 
-  voice.say(`pulling “${tidyTitle(selectedVideo.title)}”…`);
+  const separator = await chooseSeparator();
+  await processVideo(selectedVideo, {
+    blend: "ask",
+    play: true,
+    separator,
+    query,
+  });
+};
+
+const findFromLink = async (link) => {
+  let usePlaylist = Boolean(link.playlistId) && !link.videoId;
+  if (link.playlistId && link.videoId) {
+    usePlaylist = (await promptLinkScope()) === "playlist";
+  }
+
+  const lookupSpinner = createStatus(
+    usePlaylist ? "opening the playlist…" : "looking up that video…"
+  );
+  let videos = [];
+  try {
+    videos = usePlaylist
+      ? await listPlaylistVideos(link.playlistId)
+      : await fetchVideosByIds([link.videoId]);
+  } catch (error) {
+    lookupSpinner.error({
+      text: wrapLine("youtube isn't answering right now."),
+    });
+    voice.error(error.message);
+    return;
+  }
+  if (!videos.length) {
+    lookupSpinner.error({
+      text: wrapLine(
+        usePlaylist
+          ? "that playlist looks empty or private."
+          : "that video isn't available."
+      ),
+    });
+    return;
+  }
+  lookupSpinner.success({
+    text: wrapLine(
+      usePlaylist
+        ? `found ${videos.length} videos in the playlist.`
+        : `found “${tidyTitle(videos[0].title)}”.`
+    ),
+  });
+
+  if (!usePlaylist) {
+    const separator = await chooseSeparator();
+    await processVideo(videos[0], { blend: "ask", play: true, separator });
+    return;
+  }
+
+  const picked = await promptPlaylistSelection(videos);
+  let blend = "ask";
+  if (picked.length > 1) {
+    blend = await promptConfirm(
+      "blend each one into a single drum take?",
+      true
+    );
+  }
+  const separator = await chooseSeparator();
+  await processVideos(picked, { blend, play: true, separator });
+};
+
+const promptExistingTake = async (take) => {
+  voice.warn(`you already have drums for this video: ${take.title}.`);
+  const existingPrompt = new Select({
+    message: "what now?",
+    choices: [
+      { name: "open", message: "open it in the catalog" },
+      { name: "reprocess", message: "isolate it again anyway" },
+      { name: "skip", message: "skip it" },
+    ],
+  });
+  return existingPrompt.run();
+};
+
+// existing: "ask" prompts, "skip" and "reprocess" decide without asking
+const processVideo = async (video, options = {}) => {
+  const { separator, query, existing = "ask", ...finishOptions } = options;
+
+  const [existingTake] = findTakesByVideoId(video.videoId);
+  if (existingTake) {
+    logStage("MAIN", "existing take", existingTake.id);
+    const decision =
+      existing === "ask" ? await promptExistingTake(existingTake) : existing;
+    if (decision === "open") {
+      await browseCatalog({ focusTakeId: existingTake.id });
+      return { status: "skipped" };
+    }
+    if (decision === "skip") {
+      voice.hint(
+        `skipped ${existingTake.title}, it's already in your catalog.`
+      );
+      return { status: "skipped" };
+    }
+  }
 
-  const downloadProgress = createCalmProgress();
   let downloadedFile;
   try {
-    downloadedFile = await downloadVideoAudio(
-      selectedVideo.videoId,
-      selectedVideo.title,
+    downloadedFile = await pullVideoAudio(video);
+  } catch (error) {
+    voice.error(error.message);
+    return { status: "failed" };
+  }
+
+  let studioResult;
+  try {
+    studioResult = await isolateDrums(downloadedFile, video.title, {
+      source: describeYoutubeSource(video, { query }),
+      separator,
+    });
+  } catch (error) {
+    voice.error(error.message);
+    return { status: "failed" };
+  }
+
+  const finished = await finishTake(studioResult, finishOptions);
+  return { status: finished ? "done" : "failed", result: finished };
+};
+
+export const processVideos = async (videos, options = {}) => {
+  const {
+    blend = "ask",
+    play = true,
+    separator,
+    query,
+    existing = "ask",
+  } = options;
+  const single = videos.length === 1;
+  const processed = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const [index, video] of videos.entries()) {
+    if (!single) {
+      voice.say(`${index + 1}/${videos.length}`);
+    }
+    const { status } = await processVideo(video, {
+      blend,
+      play: single && play,
+      separator,
+      query,
+      existing,
+    });
+    if (status === "done") {
+      processed.push(video);
+    } else if (status === "skipped") {
+      skipped.push(video);
+    } else {
+      failed.push(video);
+    }
+  }
+
+  if (!single) {
+    voice.say(`isolated ${processed.length} of ${videos.length} takes.`);
+    if (skipped.length) {
+      voice.hint(
+        `already had: ${skipped
+          .map((video) => tidyTitle(video.title))
+          .join(", ")}`
+      );
+    }
+    if (failed.length) {
+      voice.hint(
+        `failed: ${failed.map((video) => tidyTitle(video.title)).join(", ")}`
+      );
+    }
+  }
+
+  return { processed, skipped, failed };
+};
+
+export const pullVideoAudio = async (video) => {
+  voice.say(`pulling “${tidyTitle(video.title)}”…`);
+
+  const downloadProgress = createCalmProgress();
+  let reused = false;
+  try {
+    const downloadedFile = await downloadVideoAudio(
+      video.videoId,
+      video.title,
       {
         onMessage: (text) => downloadProgress.set(text),
         onProgress: (percent) =>
           downloadProgress.set(`pulling audio… ${percent.toFixed(1)}%`),
+        onCacheHit: () => {
+          reused = true;
+        },
       }
     );
     downloadProgress.clear();
-    voice.success("audio is ready.");
+    voice.success(
+      reused ? "reusing the audio you already pulled." : "audio is ready."
+    );
+    logStage("MAIN", "downloaded path", downloadedFile);
+    return downloadedFile;
   } catch (error) {
     downloadProgress.clear();
-    voice.error(error.message);
-    return;
+    throw error;
+  }
+};
+
+export const chooseSeparator = async () => {
+  const configured = listSeparators().filter(
+    (separator) => separator.configured
+  );
+  if (configured.length < 2) {
+    return configured[0]?.name;
+  }
+  const preferred = getConfig("separator.default").toLowerCase();
+  const choices = configured.map((separator) => ({
+    name: separator.name,
+    message: separator.label,
+  }));
+  const separatorPrompt = new Select({
+    message: "which studio should isolate the drums?",
+    choices,
+    initial: Math.max(
+      choices.findIndex((choice) => choice.name === preferred),
+      0
+    ),
+  });
+  return separatorPrompt.run();
+};
+
+// provenance is a nice extra, so a failed write never loses the take
+export const recordNewTakeProvenance = async (studioResult, source) => {
+  try {
+    await recordTakeProvenance(studioResult.jobOutputDir, {
+      source,
+      processing: describeProcessing(studioResult),
+      title: suggestTakeTitle(path.basename(studioResult.jobOutputDir)),
+    });
+  } catch (error) {
+    logStage("MAIN", "provenance metadata failed", error.message);
   }
-  logStage("MAIN", "downloaded path", downloadedFile);
+};
 
+export const isolateDrums = async (filePath, jobName, options = {}) => {
+  const { source, separator } = options;
   const studioSpinner = createStatus("sending to the studio…");
-  let studioResult;
   try {
-    studioResult = await processAudioWithMoises(
-      downloadedFile,
-      selectedVideo.title,
-      {
-        onPhase: (text) =>
-          studioSpinner.update({
-            text: wrapLine(text),
-          }),
-      }
-    );
+    const studioResult = await separateDrums(filePath, jobName, {
+      separator,
+      source,
+      onPhase: (text) =>
+        studioSpinner.update({
+          text: wrapLine(text),
+        }),
+    });
     studioSpinner.success({
       text: wrapLine("stems are ready."),
     });
+    await recordNewTakeProvenance(studioResult, source);
+    return studioResult;
   } catch (error) {
     studioSpinner.error({
       text: wrapLine("the studio couldn't finish that take."),
     });
-    voice.error(error.message);
-    return;
+    throw error;
   }
+};
+
+const promptBlendChoice = async () => {
+  const blendPrompt = new Select({
+    message: "blend them into one take?",
+    choices: [
+      { name: "even", message: "blend them evenly" },
+      { name: "mixer", message: "open the mixer" },
+      { name: "apart", message: "keep them apart" },
+    ],
+  });
+  return blendPrompt.run();
+};
 
+export const finishTake = async (studioResult, options = {}) => {
+  const { blend = "ask", play = true } = options;
   const { drumWavFiles, jobOutputDir } = studioResult;
   if (!drumWavFiles.length) {
     voice.warn("couldn't isolate clean drums from that take.");
-    return;
+    return null;
   }
 
   const takeLabel = drumWavFiles.length === 1 ? "take" : "takes";
@@ -383,8 +455,15 @@ export const findDrumsFlow = async () => {
   let playbackPath = drumWavFiles[0];
 
   if (drumWavFiles.length > 1) {
-    const shouldBlend = await promptConfirm("blend them into one take?", true);
-    if (shouldBlend) {
+    const blendChoice =
+      blend === "ask" ? await promptBlendChoice() : blend ? "even" : "apart";
+    if (blendChoice === "mixer") {
+      const mixPath = await openMixer(jobOutputDir, drumWavFiles, {
+        title: path.basename(jobOutputDir),
+      });
+      playbackPath = mixPath ?? playbackPath;
+    }
+    if (blendChoice === "even") {
       const blendSpinner = createStatus("blending the drums…");
       try {
         playbackPath = await combineDrumStems(drumWavFiles, jobOutputDir);
@@ -400,15 +479,35 @@ export const findDrumsFlow = async () => {
     }
   }
 
-  voice.hint("playing it now… ctrl+c to stop anytime.");
-  await playAudioFile(playbackPath);
-  try {
-    await recordTakePlayback(jobOutputDir);
-  } catch {
-    // ignoring metadata issues keeps the main flow smooth
+  if (play) {
+    voice.hint("playing it now… ctrl+c to stop anytime.");
+    const playback = await playAudioFile(
+      playbackPath,
+      takePlaybackOptions(readTakeMetadata(jobOutputDir))
+    );
+    try {
+      await recordTakePlayback(jobOutputDir, playback);
+    } catch {
+      // ignoring metadata issues keeps the main flow smooth
+    }
   }
 
   const displayPath = path.relative(ROOT_DIR, playbackPath);
+  if (jsonMode) {
+    writeJson({
+      type: "take",
+      id: path.basename(jobOutputDir),
+      folderPath: jobOutputDir,
+      playbackPath,
+      drumFiles: drumWavFiles,
+    });
+  }
   voice.success(`ready. saved to ${displayPath}.`);
-  voice.hint("stems live inside downloads/processed_stems if you need them later.");
+  const takesDir = path.relative(ROOT_DIR, PROCESSED_DIR);
+  voice.hint(
+    `stems live inside ${
+      takesDir.startsWith("..") ? PROCESSED_DIR : takesDir
+    } if you need them later.`
+  );
+  return { playbackPath, jobOutputDir };
 };
@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import enquirer from "enquirer";
+
+import { DOWNLOADS_DIR, ensureDirectory } from "../lib/paths.js";
+import { voice } from "../lib/ui.js";
+import {
+  LOCAL_AUDIO_EXTENSIONS,
+  collectLocalAudioFiles,
+  describeLocalSource,
+  resolveLocalPath,
+  validateLocalAudio,
+} from "../lib/local-audio.js";
+import { logStage } from "../lib/debug.js";
+import {
+  chooseSeparator,
+  finishTake,
+  isolateDrums,
+} from "./find-drums.js";
+
+const { Input, Confirm } = enquirer;
+
+const promptLocalPath = async () => {
+  voice.say("bata · import from disk");
+  voice.hint(
+    `drop a ${LOCAL_AUDIO_EXTENSIONS.join("/")} file or a folder of them`
+  );
+  const inputPrompt = new Input({
+    message: "where is the audio?",
+    validate: (value) => {
+      if (!value.trim()) {
+        return "paste a path so i can look.";
+      }
+      return (
+        fs.existsSync(resolveLocalPath(value)) ||
+        "can't find anything at that path."
+      );
+    },
+  });
+  const value = await inputPrompt.run();
+  return value.trim();
+};
+
+export const importLocalFiles = async (files, options = {}) => {
+  const { blend = "ask", play = true, separator } = options;
+  ensureDirectory(DOWNLOADS_DIR);
+
+  const single = files.length === 1;
+  const imported = [];
+  const failed = [];
+
+  for (const [index, filePath] of files.entries()) {
+    const fileName = path.basename(filePath);
+    if (!single) {
+      voice.say(`${index + 1}/${files.length} · ${fileName}`);
+    }
+
+    let probe;
+    try {
+      probe = await validateLocalAudio(filePath);
+      logStage("IMPORT", "probe", { filePath, ...probe });
+    } catch (error) {
+      voice.warn(error.message);
+      failed.push(filePath);
+      continue;
+    }
+
+    try {
+      const studioResult = await isolateDrums(
+        filePath,
+        path.parse(filePath).name,
+        { source: describeLocalSource(filePath, probe), separator }
+      );
+      const finished = await finishTake(studioResult, {
+        blend,
+        play: single && play,
+      });
+      (finished ? imported : failed).push(filePath);
+    } catch (error) {
+      voice.error(error.message);
+      failed.push(filePath);
+    }
+  }
+
+  if (!single) {
+    voice.say(`imported ${imported.length} of ${files.length} files.`);
+    if (failed.length) {
+      voice.hint(
+        `skipped: ${failed.map((file) => path.basename(file)).join(", ")}`
+      );
+    }
+  }
+
+  return { imported, failed };
+};
+
+export const importAudioFlow = async () => {
+  const inputPath = await promptLocalPath();
+
+  let files;
+  try {
+    files = collectLocalAudioFiles(inputPath);
+  } catch (error) {
+    voice.error(error.message);
+    return;
+  }
+  if (!files.length) {
+    voice.warn(
+      `no ${LOCAL_AUDIO_EXTENSIONS.join("/")} files in that folder.`
+    );
+    return;
+  }
+
+  let blend = "ask";
+  if (files.length > 1) {
+    voice.say(`${files.length} files to send to the studio.`);
+    blend = await new Confirm({
+      message: "blend each one into a single drum take?",
+      initial: true,
+    }).run();
+  }
+
+  const separator = await chooseSeparator();
+  await importLocalFiles(files, { blend, play: true, separator });
+};
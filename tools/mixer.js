@@ -0,0 +1,249 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import enquirer from "enquirer";
+
+import { createStatus, voice, wrapLine } from "../lib/ui.js";
+import { playAudioFile, renderStemMix } from "../lib/audio.js";
+import {
+  MAX_GAIN_DB,
+  MIN_GAIN_DB,
+  channelsForStems,
+  defaultChannel,
+  formatGain,
+  formatPan,
+  mixFileName,
+  parseGain,
+  parsePan,
+  toMixSlug,
+} from "../lib/mixes.js";
+import { readTakeMetadata, recordTakeMix } from "../lib/take-metadata.js";
+import { takePlaybackOptions } from "../lib/takes.js";
+import { logStage } from "../lib/debug.js";
+
+const { Select, Input, Confirm } = enquirer;
+
+const withFiles = (channels, stemFiles) =>
+  channels.map((channel, index) => ({ ...channel, file: stemFiles[index] }));
+
+const withoutFile = ({ file, ...channel }) => channel;
+
+const describeChannel = (channel, anySolo) => {
+  let state = "on";
+  if (channel.solo) state = "solo";
+  else if (channel.mute) state = "muted";
+  else if (anySolo) state = "silent while others solo";
+  return `${channel.stem} · ${formatGain(channel.gainDb)} · ${formatPan(
+    channel.pan
+  )} · ${state}`;
+};
+
+// lets the listener balance stems and save the result as a named mix.
+// resolves with the path of the last mix saved, or null when none was.
+export const openMixer = async (folderPath, stemFiles, options = {}) => {
+  const { title = path.basename(folderPath) } = options;
+  if (!stemFiles.length) {
+    voice.warn("there are no stems to mix on this take.");
+    return null;
+  }
+
+  let channels = withFiles(stemFiles.map(defaultChannel), stemFiles);
+  let mixName = null;
+  let savedPath = null;
+
+  for (;;) {
+    const { mixes } = readTakeMetadata(folderPath);
+    const anySolo = channels.some((channel) => channel.solo);
+    const mixerPrompt = new Select({
+      message: `mixer (${title})`,
+      choices: [
+        ...channels.map((channel, index) => ({
+          name: `stem:${index}`,
+          message: describeChannel(channel, anySolo),
+        })),
+        { name: "preview", message: "▶ preview the mix" },
+        { name: "save", message: "save as a named mix" },
+        {
+          name: "load",
+          message: "load a saved mix",
+          disabled: !mixes.length,
+        },
+        { name: "done", message: "done" },
+      ],
+    });
+    const answer = await mixerPrompt.run();
+    logStage("MIXER", "choice", answer);
+
+    try {
+      if (answer.startsWith("stem:")) {
+        const index = Number(answer.slice("stem:".length));
+        channels[index] = await editChannel(channels[index]);
+      } else if (answer === "preview") {
+        await previewMix(folderPath, channels);
+      } else if (answer === "save") {
+        const saved = await saveMix(folderPath, channels, mixName, mixes);
+        if (saved) {
+          ({ mixName, savedPath } = saved);
+        }
+      } else if (answer === "load") {
+        const mix = await promptSavedMix(mixes);
+        if (mix) {
+          channels = withFiles(
+            channelsForStems(stemFiles, mix.channels),
+            stemFiles
+          );
+          mixName = mix.name;
+          voice.hint(`loaded ${mix.name}. save it again to re-render.`);
+        }
+      } else {
+        return savedPath;
+      }
+    } catch (error) {
+      voice.warn(error.message);
+    }
+  }
+};
+
+const editChannel = async (channel) => {
+  const channelPrompt = new Select({
+    message: channel.stem,
+    choices: [
+      { name: "mute", message: channel.mute ? "unmute" : "mute" },
+      { name: "solo", message: channel.solo ? "unsolo" : "solo" },
+      { name: "gain", message: `gain (${formatGain(channel.gainDb)})` },
+      { name: "pan", message: `pan (${formatPan(channel.pan)})` },
+      { name: "reset", message: "reset this stem" },
+      { name: "back", message: "back" },
+    ],
+  });
+  const answer = await channelPrompt.run();
+  switch (answer) {
+    case "mute":
+    case "solo":
+      return { ...channel, [answer]: !channel[answer] };
+    case "gain":
+      return {
+        ...channel,
+        gainDb: await promptValue(
+          `gain in dB (${MIN_GAIN_DB} to +${MAX_GAIN_DB})`,
+          channel.gainDb,
+          parseGain
+        ),
+      };
+    case "pan":
+      return {
+        ...channel,
+        pan: await promptValue(
+          "pan (L100 … C … R100)",
+          formatPan(channel.pan),
+          parsePan
+        ),
+      };
+    case "reset":
+      return { ...defaultChannel(channel.file), file: channel.file };
+    case "back":
+    default:
+      return channel;
+  }
+};
+
+const promptValue = async (message, initial, parse) => {
+  const valuePrompt = new Input({
+    message,
+    initial: String(initial),
+    validate: (value) => {
+      try {
+        parse(value);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return parse(await valuePrompt.run());
+};
+
+// the preview plays with the take's own loop, markers and click
+const previewMix = async (folderPath, channels) => {
+  const previewPath = path.join(
+    os.tmpdir(),
+    `bata-mix-preview-${process.pid}.wav`
+  );
+  const previewSpinner = createStatus("mixing a preview…");
+  try {
+    await renderStemMix(channels, previewPath);
+    previewSpinner.success({ text: wrapLine("preview ready.") });
+  } catch (error) {
+    previewSpinner.error({ text: wrapLine("couldn't mix a preview.") });
+    throw error;
+  }
+  try {
+    await playAudioFile(
+      previewPath,
+      takePlaybackOptions(readTakeMetadata(folderPath))
+    );
+  } finally {
+    fs.rmSync(previewPath, { force: true });
+  }
+};
+
+const saveMix = async (folderPath, channels, currentName, mixes) => {
+  const namePrompt = new Input({
+    message: "name this mix",
+    initial: currentName ?? "",
+    validate: (value) =>
+      toMixSlug(value) ? true : "give it a name with a letter or number.",
+  });
+  const name = (await namePrompt.run()).trim();
+  const file = mixFileName(name);
+
+  const existing = mixes.find((mix) => mix.file === file);
+  if (existing && existing.name !== currentName) {
+    const overwritePrompt = new Confirm({
+      message: `replace the saved mix “${existing.name}”?`,
+      initial: false,
+    });
+    if (!(await overwritePrompt.run())) {
+      return null;
+    }
+  }
+
+  const outputPath = path.join(folderPath, file);
+  const mixSpinner = createStatus(`rendering ${name}…`);
+  try {
+    await renderStemMix(channels, outputPath);
+  } catch (error) {
+    mixSpinner.error({ text: wrapLine("couldn't render that mix.") });
+    throw error;
+  }
+  await recordTakeMix(folderPath, {
+    name,
+    file,
+    channels: channels.map(withoutFile),
+    renderedAt: new Date().toISOString(),
+  });
+  mixSpinner.success({ text: wrapLine(`saved ${file}.`) });
+  return { mixName: name, savedPath: outputPath };
+};
+
+const promptSavedMix = async (mixes) => {
+  const mixPrompt = new Select({
+    message: "which mix?",
+    choices: [
+      ...mixes.map((mix) => ({
+        name: mix.file,
+        message: `${mix.name} · ${mix.channels
+          .map(
+            (channel) =>
+              `${channel.stem} ${formatGain(channel.gainDb)}${
+                channel.mute ? " (muted)" : ""
+              }`
+          )
+          .join(", ")}`,
+      })),
+      { name: "__back", message: "← back" },
+    ],
+  });
+  const answer = await mixPrompt.run();
+  return mixes.find((mix) => mix.file === answer) ?? null;
+};
@@ -0,0 +1,185 @@
+import enquirer from "enquirer";
+
+import { formatTime, voice } from "../lib/ui.js";
+import { loadTakes, takePlaybackOptions } from "../lib/takes.js";
+import { playAudioFile } from "../lib/audio.js";
+import {
+  recordPlayerState,
+  recordTakePlayback,
+} from "../lib/take-metadata.js";
+import { logStage } from "../lib/debug.js";
+
+const { Select, MultiSelect, Input } = enquirer;
+
+// a take left within this many seconds was skipped past, not practiced
+const MIN_PRACTICE_SECONDS = 10;
+
+const wasPracticed = (playback) =>
+  playback.completed !== false ||
+  (playback.heardSeconds ?? 0) >= MIN_PRACTICE_SECONDS;
+
+export const findTakesMatchingNote = (takes, query) => {
+  const needle = query.trim().toLowerCase();
+  return takes.filter((take) =>
+    take.notes?.some((note) => note.toLowerCase().includes(needle))
+  );
+};
+
+const shuffled = (values) => {
+  const copy = [...values];
+  for (let index = copy.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(Math.random() * (index + 1));
+    [copy[index], copy[swap]] = [copy[swap], copy[index]];
+  }
+  return copy;
+};
+
+// keeps what already played in place and only reorders what's coming up
+const reorderUpcoming = (order, position, shuffle) => {
+  const upcoming = order.slice(position + 1);
+  return [
+    ...order.slice(0, position + 1),
+    ...(shuffle ? shuffled(upcoming) : [...upcoming].sort((a, b) => a - b)),
+  ];
+};
+
+export const playPracticeQueue = async (takes, options = {}) => {
+  const playable = takes.filter((take) => take.primaryFile);
+  if (!playable.length) {
+    voice.warn("none of those takes have drums ready to play.");
+    return { played: 0 };
+  }
+
+  const queue = {
+    repeat: Boolean(options.repeat),
+    shuffle: Boolean(options.shuffle),
+  };
+  const naturalOrder = playable.map((_, index) => index);
+  let order = queue.shuffle ? shuffled(naturalOrder) : naturalOrder;
+  let position = 0;
+  let played = 0;
+
+  while (position < order.length) {
+    const take = playable[order[position]];
+    const upNext =
+      position + 1 < order.length
+        ? playable[order[position + 1]]
+        : queue.repeat
+          ? playable[order[0]]
+          : null;
+    const label = `${position + 1}/${order.length}`;
+    voice.say(`${label} · ${take.title}`);
+    logStage("QUEUE", "play", { position: label, take: take.id });
+
+    const playback = await playAudioFile(take.primaryFile, {
+      ...takePlaybackOptions(take),
+      queue: { ...queue, label, nextTitle: upNext?.title ?? null },
+    });
+    const practiced = wasPracticed(playback);
+    if (practiced) {
+      played += 1;
+    }
+    try {
+      await (practiced ? recordTakePlayback : recordPlayerState)(
+        take.folderPath,
+        playback
+      );
+    } catch {
+      // keep the queue moving even if metadata can't be written
+    }
+
+    if (playback.queue) {
+      if (playback.queue.shuffle !== queue.shuffle) {
+        order = reorderUpcoming(order, position, playback.queue.shuffle);
+      }
+      queue.repeat = playback.queue.repeat;
+      queue.shuffle = playback.queue.shuffle;
+    }
+
+    const action =
+      playback.action ?? (playback.completed === false ? "stop" : "next");
+    if (action === "stop") {
+      break;
+    }
+    if (action === "previous") {
+      if (position > 0) {
+        position -= 1;
+      } else if (queue.repeat) {
+        position = order.length - 1;
+      }
+      continue;
+    }
+    position += 1;
+    if (position >= order.length && queue.repeat) {
+      order = queue.shuffle ? shuffled(naturalOrder) : naturalOrder;
+      position = 0;
+    }
+  }
+
+  const takeLabel = played === 1 ? "take" : "takes";
+  voice.success(`practice done · ${played} ${takeLabel} played.`);
+  return { played };
+};
+
+const promptQueueTakes = async (takes) => {
+  const picker = new MultiSelect({
+    message: "pick the takes to practice (space to pick, enter to start)",
+    choices: takes.map((take) => ({
+      name: take.id,
+      message: `${take.title} · ${formatTime(take.durationSeconds)}`,
+    })),
+    validate: (value) => (value.length ? true : "pick at least one take."),
+  });
+  const picked = await picker.run();
+  return picked
+    .map((id) => takes.find((take) => take.id === id))
+    .filter(Boolean);
+};
+
+const promptNoteQuery = async () => {
+  const queryPrompt = new Input({ message: "which match? (part of a note)" });
+  return (await queryPrompt.run()).trim();
+};
+
+export const practiceQueueFlow = async () => {
+  const takes = (await loadTakes()).filter((take) => take.primaryFile);
+  if (!takes.length) {
+    voice.say("no processed takes yet. find one first.");
+    return;
+  }
+
+  const modePrompt = new Select({
+    message: "build a practice queue",
+    choices: [
+      { name: "pick", message: "pick takes from the catalog" },
+      {
+        name: "note",
+        message: "every take matching a note",
+        disabled: !takes.some((take) => take.notes?.length),
+      },
+      { name: "back", message: "← back" },
+    ],
+  });
+  const mode = await modePrompt.run();
+
+  let queued = [];
+  if (mode === "pick") {
+    queued = await promptQueueTakes(takes);
+  } else if (mode === "note") {
+    const query = await promptNoteQuery();
+    if (!query) {
+      voice.hint("ok, no queue this time.");
+      return;
+    }
+    queued = findTakesMatchingNote(takes, query);
+    if (!queued.length) {
+      voice.hint(`no takes have a note matching “${query}”.`);
+      return;
+    }
+  } else {
+    return;
+  }
+
+  voice.hint("n next · p previous · r repeat · s shuffle while it plays.");
+  await playPracticeQueue(queued);
+};
@@ -22,7 +22,7 @@ export const rememberTake = async () => {
       ? b.lastPlayedAt.getTime()
       : 0;
     if (aPlayed === bPlayed) {
-      return b.updatedAt.getTime() - a.updatedAt.getTime();
+      return b.addedAt.getTime() - a.addedAt.getTime();
     }
     return bPlayed - aPlayed;
   });
@@ -67,7 +67,7 @@ const promptTakeSelection = async (takes) => {
 const formatRememberChoice = (take) => {
   const lastPlayedLabel = take.lastPlayedAt
     ? `last jam ${formatRelativeTime(take.lastPlayedAt)}`
-    : `added ${formatRelativeTime(take.updatedAt)}`;
+    : `added ${formatRelativeTime(take.addedAt)}`;
   return `${take.title}\n   ${lastPlayedLabel}`;
 };
 
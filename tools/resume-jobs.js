@@ -0,0 +1,101 @@
+import enquirer from "enquirer";
+
+import {
+  createStatus,
+  formatRelativeTime,
+  voice,
+  wrapLine,
+} from "../lib/ui.js";
+import {
+  clearPendingJobs,
+  listPendingJobs,
+} from "../lib/job-journal.js";
+import { resumeSeparation } from "../lib/separation.js";
+import { logStage } from "../lib/debug.js";
+import { finishTake, recordNewTakeProvenance } from "./find-drums.js";
+
+const { Select } = enquirer;
+
+export const describePendingJob = (entry) => {
+  const started = entry.createdAt
+    ? formatRelativeTime(new Date(entry.createdAt))
+    : "a while ago";
+  return `${entry.jobName} · ${entry.separator} · started ${started}`;
+};
+
+export const resumePendingJobs = async (entries, options = {}) => {
+  const { blend = "ask", play = true } = options;
+  const single = entries.length === 1;
+  const resumed = [];
+  const failed = [];
+
+  for (const [index, entry] of entries.entries()) {
+    if (!single) {
+      voice.say(`${index + 1}/${entries.length} · ${entry.jobName}`);
+    }
+
+    const studioSpinner = createStatus("checking on the studio…");
+    let studioResult;
+    try {
+      studioResult = await resumeSeparation(entry, {
+        onPhase: (text) =>
+          studioSpinner.update({
+            text: wrapLine(text),
+          }),
+      });
+      studioSpinner.success({
+        text: wrapLine("stems are ready."),
+      });
+    } catch (error) {
+      studioSpinner.error({
+        text: wrapLine("the studio couldn't finish that take."),
+      });
+      voice.error(error.message);
+      failed.push(entry);
+      continue;
+    }
+
+    await recordNewTakeProvenance(studioResult, entry.source);
+
+    const finished = await finishTake(studioResult, {
+      blend,
+      play: single && play,
+    });
+    (finished ? resumed : failed).push(entry);
+  }
+
+  if (!single) {
+    voice.say(`picked up ${resumed.length} of ${entries.length} jobs.`);
+  }
+  return { resumed, failed };
+};
+
+export const offerPendingJobs = async () => {
+  const pending = listPendingJobs();
+  if (!pending.length) {
+    return;
+  }
+  logStage("RESUME", "pending jobs", pending.length);
+
+  const jobLabel = pending.length === 1 ? "job" : "jobs";
+  voice.say(`${pending.length} studio ${jobLabel} didn't finish last time.`);
+  pending.forEach((entry) => voice.hint(`· ${describePendingJob(entry)}`));
+
+  const choicePrompt = new Select({
+    message: "pick them back up?",
+    choices: [
+      { name: "resume", message: "resume now" },
+      { name: "later", message: "later" },
+      { name: "forget", message: "forget them" },
+    ],
+  });
+  const choice = await choicePrompt.run();
+  if (choice === "forget") {
+    clearPendingJobs();
+    voice.hint("ok, they're gone from the list.");
+    return;
+  }
+  if (choice === "resume") {
+    await resumePendingJobs(pending, { blend: "ask", play: true });
+  }
+};
@@ -0,0 +1,119 @@
+import path from "path";
+import enquirer from "enquirer";
+
+import { ROOT_DIR } from "../lib/paths.js";
+import { voice } from "../lib/ui.js";
+import { loadTakes } from "../lib/takes.js";
+import {
+  applyCatalogImport,
+  exportCatalog,
+  formatFromPath,
+  planCatalogImport,
+  readCatalogFile,
+} from "../lib/catalog-share.js";
+import { logStage } from "../lib/debug.js";
+
+const { Select, Input, Confirm } = enquirer;
+
+const noteCount = (count) => `${count} ${count === 1 ? "note" : "notes"}`;
+
+export const reportCatalogImport = (plan) => {
+  plan.updates.forEach(({ take, notes, title, source }) => {
+    const changes = [
+      notes.length ? `+${noteCount(notes.length)}` : null,
+      title ? `title “${title}”` : null,
+      source ? "source" : null,
+    ].filter(Boolean);
+    voice.say(`${take.title} · ${changes.join(" · ")}`);
+  });
+  plan.conflicts.forEach(({ label, reason }) => {
+    voice.warn(`${label}: ${reason}.`);
+  });
+  if (plan.unmatched.length) {
+    voice.hint(
+      `no take here for ${plan.unmatched
+        .map(({ label }) => label)
+        .join(", ")}.`
+    );
+  }
+  voice.hint(
+    `${plan.updates.length} to update · ${plan.unchanged.length} already ` +
+      `up to date · ${plan.conflicts.length} conflicts · ` +
+      `${plan.unmatched.length} unmatched`
+  );
+};
+
+const resolveSharePath = (value) => path.resolve(ROOT_DIR, value.trim());
+
+const exportFlow = async (takes) => {
+  const format = await new Select({
+    message: "format",
+    choices: [
+      { name: "json", message: "json (everything, re-importable)" },
+      { name: "csv", message: "csv (for spreadsheets)" },
+    ],
+  }).run();
+  const filePath = resolveSharePath(
+    await new Input({
+      message: "save it where?",
+      initial: `bata-catalog.${format}`,
+    }).run()
+  );
+  const count = exportCatalog(takes, filePath, format);
+  voice.success(`saved ${count} takes to ${filePath}.`);
+};
+
+const importFlow = async (takes) => {
+  const filePath = resolveSharePath(
+    await new Input({
+      message: "which file? (json or csv)",
+      validate: (value) => (value.trim() ? true : "paste a path."),
+    }).run()
+  );
+  const records = readCatalogFile(filePath, formatFromPath(filePath));
+  const plan = planCatalogImport(records, takes);
+  logStage("SHARE", "import plan", {
+    updates: plan.updates.length,
+    conflicts: plan.conflicts.length,
+    unmatched: plan.unmatched.length,
+  });
+  reportCatalogImport(plan);
+  if (!plan.updates.length) {
+    voice.hint("nothing to merge.");
+    return;
+  }
+  const confirmPrompt = new Confirm({
+    message: `merge into ${plan.updates.length} takes? conflicts stay as they are.`,
+    initial: true,
+  });
+  if (!(await confirmPrompt.run())) {
+    return;
+  }
+  await applyCatalogImport(plan);
+  voice.success(`merged into ${plan.updates.length} takes.`);
+};
+
+export const shareCatalogFlow = async () => {
+  const takes = await loadTakes();
+  const action = await new Select({
+    message: "share the catalog",
+    choices: [
+      {
+        name: "export",
+        message: "export it to a file",
+        disabled: !takes.length,
+      },
+      { name: "import", message: "merge in a teammate's file" },
+      { name: "back", message: "← back" },
+    ],
+  }).run();
+  try {
+    if (action === "export") {
+      await exportFlow(takes);
+    } else if (action === "import") {
+      await importFlow(takes);
+    }
+  } catch (error) {
+    voice.warn(error.message);
+  }
+};